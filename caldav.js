@@ -0,0 +1,553 @@
+// CalDAV (RFC 4791) endpoint backed by the DataCache
+//
+// Layout, relative to the mount path (/caldav):
+//   /                        principal
+//   /calendars/              calendar home
+//   /calendars/default/      the calendar collection
+//   /calendars/default/X.ics one event resource
+//
+// Edits go through DataCache.addEvent/updateEvent/deleteEvent, so WebSocket
+// broadcasts and webhooks fire exactly as they do for the REST API.
+
+const express = require('express');
+const { parseEvents, diffEvent } = require('./ical');
+const { PreconditionFailedError, eventETag, ifMatchAllows } = require('./concurrency');
+const { validateEvent, formatErrors } = require('./event-schema');
+const { actorFromRequest } = require('./history');
+
+const NS = {
+  DAV: 'DAV:',
+  CALDAV: 'urn:ietf:params:xml:ns:caldav',
+  CS: 'http://calendarserver.org/ns/',
+  ICAL: 'http://apple.com/ns/ical/'
+};
+
+const PREFIXES = {
+  [NS.DAV]: 'd',
+  [NS.CALDAV]: 'c',
+  [NS.CS]: 'cs',
+  [NS.ICAL]: 'ical'
+};
+
+const CALENDAR_NAME = 'default';
+const SYNC_TOKEN_PREFIX = 'http://calendar.app/sync/';
+
+// ============= Minimal XML parsing =============
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Parse an XML document into { ns, name, attrs, children, text } nodes with
+// namespace prefixes resolved. Good enough for WebDAV request bodies.
+function parseXml(xml) {
+  const root = { ns: null, name: '#document', attrs: {}, children: [], text: '', scope: {} };
+  const stack = [root];
+  const tagPattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([^\s>\/]+)([^>]*?)(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = tagPattern.exec(xml)) !== null) {
+    const parent = stack[stack.length - 1];
+    const [, cdata, closing, tagName, attrText, selfClosing, text] = match;
+
+    if (cdata !== undefined) {
+      parent.text += cdata;
+      continue;
+    }
+    if (text !== undefined) {
+      parent.text += decodeEntities(text);
+      continue;
+    }
+    if (!tagName) continue;
+
+    if (closing) {
+      if (stack.length > 1) stack.pop();
+      continue;
+    }
+
+    const rawAttrs = {};
+    attrText.replace(/([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g, (m, key, q, dq, sq) => {
+      rawAttrs[key] = decodeEntities(dq !== undefined ? dq : sq);
+    });
+
+    const scope = { ...parent.scope };
+    Object.keys(rawAttrs).forEach(key => {
+      if (key === 'xmlns') scope[''] = rawAttrs[key];
+      else if (key.startsWith('xmlns:')) scope[key.slice(6)] = rawAttrs[key];
+    });
+
+    const [prefix, localName] = tagName.includes(':')
+      ? tagName.split(':')
+      : ['', tagName];
+    const node = {
+      ns: scope[prefix] || null,
+      name: localName,
+      attrs: rawAttrs,
+      children: [],
+      text: '',
+      scope
+    };
+    parent.children.push(node);
+
+    if (!selfClosing) stack.push(node);
+  }
+
+  return root.children[0] || null;
+}
+
+function findChild(node, ns, name) {
+  return node ? node.children.find(c => c.ns === ns && c.name === name) || null : null;
+}
+
+function findDescendant(node, ns, name) {
+  if (!node) return null;
+  for (const child of node.children) {
+    if (child.ns === ns && child.name === name) return child;
+    const found = findDescendant(child, ns, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Requested properties as { ns, name } pairs, or null for allprop
+function requestedProps(node) {
+  const prop = findChild(node, NS.DAV, 'prop');
+  if (!prop) return null;
+  return prop.children.map(child => ({ ns: child.ns, name: child.name }));
+}
+
+// ============= XML responses =============
+
+function propKey(ns, name) {
+  return `${ns}|${name}`;
+}
+
+function propTag(ns, name, value) {
+  const prefix = PREFIXES[ns];
+  const tag = prefix ? `${prefix}:${name}` : `x:${name}`;
+  const nsAttr = prefix ? '' : ` xmlns:x="${escapeXml(ns || '')}"`;
+  return value === '' || value === undefined
+    ? `<${tag}${nsAttr}/>`
+    : `<${tag}${nsAttr}>${value}</${tag}>`;
+}
+
+function statusLine(code) {
+  const texts = { 200: 'OK', 403: 'Forbidden', 404: 'Not Found' };
+  return `HTTP/1.1 ${code} ${texts[code]}`;
+}
+
+// Build a <d:response> for a resource from its available properties
+function propResponse(href, available, requested) {
+  const found = [];
+  const missing = [];
+
+  if (requested) {
+    requested.forEach(({ ns, name }) => {
+      const key = propKey(ns, name);
+      if (Object.prototype.hasOwnProperty.call(available, key)) {
+        found.push(propTag(ns, name, available[key]));
+      } else {
+        missing.push(propTag(ns, name));
+      }
+    });
+  } else {
+    // allprop never includes calendar data
+    Object.keys(available).forEach(key => {
+      const [ns, name] = key.split('|');
+      if (name !== 'calendar-data') found.push(propTag(ns, name, available[key]));
+    });
+  }
+
+  let xml = `<d:response><d:href>${escapeXml(href)}</d:href>`;
+  if (found.length > 0) {
+    xml += `<d:propstat><d:prop>${found.join('')}</d:prop><d:status>${statusLine(200)}</d:status></d:propstat>`;
+  }
+  if (missing.length > 0) {
+    xml += `<d:propstat><d:prop>${missing.join('')}</d:prop><d:status>${statusLine(404)}</d:status></d:propstat>`;
+  }
+  return xml + '</d:response>';
+}
+
+function statusResponse(href, code) {
+  return `<d:response><d:href>${escapeXml(href)}</d:href><d:status>${statusLine(code)}</d:status></d:response>`;
+}
+
+function sendMultistatus(res, responses, extra = '') {
+  const namespaces = Object.keys(PREFIXES)
+    .map(ns => `xmlns:${PREFIXES[ns]}="${ns}"`)
+    .join(' ');
+  res.status(207)
+    .set('Content-Type', 'application/xml; charset=utf-8')
+    .send(`<?xml version="1.0" encoding="utf-8"?>\n<d:multistatus ${namespaces}>${responses.join('')}${extra}</d:multistatus>`);
+}
+
+function sendError(res, status, condition) {
+  res.status(status)
+    .set('Content-Type', 'application/xml; charset=utf-8')
+    .send(`<?xml version="1.0" encoding="utf-8"?>\n<d:error xmlns:d="DAV:" xmlns:c="${NS.CALDAV}">${condition}</d:error>`);
+}
+
+// The API key sent as the HTTP Basic password (any user name), or null
+function basicAuthKey(req) {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Basic ')) return null;
+  const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+  return decoded.slice(decoded.indexOf(':') + 1);
+}
+
+// ============= Router =============
+
+function createCalDavRouter(cache) {
+  const router = express.Router();
+
+  // Request bodies are XML or iCalendar text
+  router.use(express.text({ type: () => true, limit: '5mb' }));
+
+  const syncToken = () => `${SYNC_TOKEN_PREFIX}${cache.syncRevision}`;
+
+  // Resolve a request path to the resource it names
+  const resolve = (reqPath) => {
+    const parts = reqPath.split('/').filter(Boolean);
+    if (parts.length === 0) return { kind: 'principal' };
+    if (parts[0] !== 'calendars') return null;
+    if (parts.length === 1) return { kind: 'home' };
+    if (parts[1] !== CALENDAR_NAME) return null;
+    if (parts.length === 2) return { kind: 'calendar' };
+    if (parts.length === 3 && parts[2].endsWith('.ics')) {
+      return { kind: 'event', name: decodeURIComponent(parts[2].slice(0, -4)) };
+    }
+    return null;
+  };
+
+  const hrefs = (base) => ({
+    principal: `${base}/`,
+    home: `${base}/calendars/`,
+    calendar: `${base}/calendars/${CALENDAR_NAME}/`,
+    event: event => `${base}/calendars/${CALENDAR_NAME}/${encodeURIComponent(event.resourceName || event.id)}.ics`
+  });
+
+  // Properties available on each kind of resource
+  const principalProps = (links) => ({
+    [propKey(NS.DAV, 'resourcetype')]: '<d:collection/><d:principal/>',
+    [propKey(NS.DAV, 'displayname')]: 'Calendar',
+    [propKey(NS.DAV, 'current-user-principal')]: `<d:href>${links.principal}</d:href>`,
+    [propKey(NS.DAV, 'principal-URL')]: `<d:href>${links.principal}</d:href>`,
+    [propKey(NS.CALDAV, 'calendar-home-set')]: `<d:href>${links.home}</d:href>`
+  });
+
+  const homeProps = (links) => ({
+    [propKey(NS.DAV, 'resourcetype')]: '<d:collection/>',
+    [propKey(NS.DAV, 'displayname')]: 'Calendars',
+    [propKey(NS.DAV, 'current-user-principal')]: `<d:href>${links.principal}</d:href>`
+  });
+
+  const calendarProps = (links, config) => ({
+    [propKey(NS.DAV, 'resourcetype')]: '<d:collection/><c:calendar/>',
+    [propKey(NS.DAV, 'displayname')]: 'Calendar',
+    [propKey(NS.DAV, 'current-user-principal')]: `<d:href>${links.principal}</d:href>`,
+    [propKey(NS.DAV, 'current-user-privilege-set')]:
+      ['read', 'write', 'write-content', 'bind', 'unbind']
+        .map(privilege => `<d:privilege><d:${privilege}/></d:privilege>`).join(''),
+    [propKey(NS.DAV, 'supported-report-set')]:
+      [['c', 'calendar-query'], ['c', 'calendar-multiget'], ['d', 'sync-collection']]
+        .map(([prefix, name]) => `<d:supported-report><d:report><${prefix}:${name}/></d:report></d:supported-report>`)
+        .join(''),
+    [propKey(NS.DAV, 'sync-token')]: syncToken(),
+    [propKey(NS.DAV, 'getetag')]: `"${cache.syncRevision}"`,
+    [propKey(NS.CS, 'getctag')]: `"${cache.syncRevision}"`,
+    [propKey(NS.CALDAV, 'supported-calendar-component-set')]: '<c:comp name="VEVENT"/>',
+    [propKey(NS.ICAL, 'calendar-color')]:
+      escapeXml((config && config.theme && config.theme.colors && config.theme.colors.primary) || '#fabd2f')
+  });
+
+  const eventProps = (event) => ({
+    [propKey(NS.DAV, 'resourcetype')]: '',
+    [propKey(NS.DAV, 'getetag')]: eventETag(event),
+    [propKey(NS.DAV, 'getcontenttype')]: 'text/calendar; charset=utf-8; component=vevent',
+    [propKey(NS.DAV, 'getlastmodified')]: new Date(event.updatedAt || event.createdAt || Date.now()).toUTCString(),
+    [propKey(NS.CALDAV, 'calendar-data')]: escapeXml(cache.generateICal([event], { method: false }))
+  });
+
+  // HTTP Basic auth with an API key as the password. Reading works without
+  // credentials, like the REST API; changing events always needs them.
+  router.use((req, res, next) => {
+    const apiKey = basicAuthKey(req);
+    const writing = ['PUT', 'DELETE'].includes(req.method);
+    if (apiKey === null && !writing) return next();
+
+    const keyData = apiKey !== null && cache.authenticateApiKey(apiKey);
+    if (keyData && cache.hasScope(keyData, writing ? 'events:write' : 'events:read')) {
+      req.apiKey = keyData;
+      return next();
+    }
+
+    res.status(401)
+      .set('WWW-Authenticate', 'Basic realm="Calendar"')
+      .send('Invalid API key');
+  });
+
+  router.use(async (req, res, next) => {
+    try {
+      await cache.getEvents();
+      res.set('DAV', '1, 3, calendar-access');
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.options('*', (req, res) => {
+    res.set('Allow', 'OPTIONS, GET, HEAD, PUT, DELETE, PROPFIND, PROPPATCH, REPORT').status(200).end();
+  });
+
+  router.propfind('*', async (req, res) => {
+    try {
+      const resource = resolve(req.path);
+      if (!resource) return res.status(404).end();
+
+      const body = req.body ? parseXml(req.body) : null;
+      const requested = body && !findChild(body, NS.DAV, 'allprop') ? requestedProps(body) : null;
+      const depth = req.headers.depth === '0' ? 0 : 1;
+      const links = hrefs(req.baseUrl);
+      const config = await cache.getConfig();
+      const responses = [];
+
+      switch (resource.kind) {
+        case 'principal':
+          responses.push(propResponse(links.principal, principalProps(links), requested));
+          break;
+        case 'home':
+          responses.push(propResponse(links.home, homeProps(links), requested));
+          if (depth > 0) {
+            responses.push(propResponse(links.calendar, calendarProps(links, config), requested));
+          }
+          break;
+        case 'calendar':
+          responses.push(propResponse(links.calendar, calendarProps(links, config), requested));
+          if (depth > 0) {
+            cache.events.forEach(event => {
+              responses.push(propResponse(links.event(event), eventProps(event), requested));
+            });
+          }
+          break;
+        case 'event': {
+          const event = cache.findEventByResourceName(resource.name);
+          if (!event) return res.status(404).end();
+          responses.push(propResponse(links.event(event), eventProps(event), requested));
+          break;
+        }
+      }
+
+      sendMultistatus(res, responses);
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  });
+
+  // Property changes aren't supported; report each one as forbidden
+  router.proppatch('*', (req, res) => {
+    const resource = resolve(req.path);
+    if (!resource) return res.status(404).end();
+
+    const body = req.body ? parseXml(req.body) : null;
+    const props = [];
+    (body ? body.children : []).forEach(action => {
+      const prop = findChild(action, NS.DAV, 'prop');
+      if (prop) props.push(...prop.children);
+    });
+
+    const tags = props.map(prop => propTag(prop.ns, prop.name)).join('');
+    sendMultistatus(res, [
+      `<d:response><d:href>${escapeXml(req.originalUrl)}</d:href><d:propstat><d:prop>${tags}</d:prop><d:status>${statusLine(403)}</d:status></d:propstat></d:response>`
+    ]);
+  });
+
+  router.report('*', (req, res) => {
+    const resource = resolve(req.path);
+    if (!resource || resource.kind !== 'calendar') return res.status(404).end();
+
+    const body = req.body ? parseXml(req.body) : null;
+    if (!body) return res.status(400).send('Report body required');
+
+    const links = hrefs(req.baseUrl);
+    const requested = requestedProps(body);
+
+    if (body.ns === NS.CALDAV && body.name === 'calendar-multiget') {
+      const responses = body.children
+        .filter(child => child.ns === NS.DAV && child.name === 'href')
+        .map(child => {
+          const href = child.text.trim();
+          const name = decodeURIComponent(href.split('/').pop().replace(/\.ics$/, ''));
+          const event = cache.findEventByResourceName(name);
+          return event
+            ? propResponse(links.event(event), eventProps(event), requested)
+            : statusResponse(href, 404);
+        });
+      return sendMultistatus(res, responses);
+    }
+
+    if (body.ns === NS.CALDAV && body.name === 'calendar-query') {
+      let events = cache.events;
+
+      const timeRange = findDescendant(body, NS.CALDAV, 'time-range');
+      if (timeRange) {
+        const toDate = value => value
+          ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`
+          : null;
+        const start = toDate(timeRange.attrs.start) || '0000-01-01';
+        const end = toDate(timeRange.attrs.end) || '9999-12-31';
+        const ids = new Set(cache.getEventsInRange(start, end).map(event => event.id));
+        events = events.filter(event => ids.has(event.id));
+      }
+
+      return sendMultistatus(res, events.map(event =>
+        propResponse(links.event(event), eventProps(event), requested)));
+    }
+
+    if (body.ns === NS.DAV && body.name === 'sync-collection') {
+      const tokenNode = findChild(body, NS.DAV, 'sync-token');
+      const token = tokenNode ? tokenNode.text.trim() : '';
+      const tokenValid = token === '' ||
+        (token.startsWith(SYNC_TOKEN_PREFIX) && /^\d+$/.test(token.slice(SYNC_TOKEN_PREFIX.length)));
+      const changes = token === ''
+        ? null
+        : tokenValid && cache.getChangesSince(Number(token.slice(SYNC_TOKEN_PREFIX.length)));
+
+      if (token !== '' && !changes) {
+        return sendError(res, 403, '<d:valid-sync-token/>');
+      }
+
+      let responses;
+      if (!changes) {
+        // Initial sync: every resource
+        responses = cache.events.map(event =>
+          propResponse(links.event(event), eventProps(event), requested));
+      } else {
+        // Only the latest change per resource matters
+        const latest = new Map();
+        changes.forEach(change => latest.set(change.resourceName, change));
+
+        responses = [...latest.values()].map(change => {
+          const event = !change.deleted && cache.findEventByResourceName(change.resourceName);
+          return event
+            ? propResponse(links.event(event), eventProps(event), requested)
+            : statusResponse(links.event({ id: change.resourceName }), 404);
+        });
+      }
+
+      return sendMultistatus(res, responses, `<d:sync-token>${escapeXml(syncToken())}</d:sync-token>`);
+    }
+
+    res.status(403).send('Unsupported report');
+  });
+
+  router.get('*', (req, res) => {
+    const resource = resolve(req.path);
+    if (!resource || resource.kind !== 'event') {
+      return res.status(resource ? 405 : 404).end();
+    }
+
+    const event = cache.findEventByResourceName(resource.name);
+    if (!event) return res.status(404).end();
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'ETag': eventETag(event)
+    });
+    res.send(cache.generateICal([event], { method: false }));
+  });
+
+  router.put('*', async (req, res) => {
+    try {
+      const resource = resolve(req.path);
+      if (!resource || resource.kind !== 'event') {
+        return res.status(resource ? 405 : 404).end();
+      }
+
+      const existing = cache.findEventByResourceName(resource.name);
+      const ifMatch = req.headers['if-match'];
+      const ifNoneMatch = req.headers['if-none-match'];
+
+      if (existing && ifNoneMatch === '*') return res.status(412).end();
+      if (!ifMatchAllows(ifMatch, existing)) return res.status(412).end();
+
+      const eventTypes = await cache.getEventTypes();
+      const { items, skipped } = parseEvents(typeof req.body === 'string' ? req.body : '', {
+        defaultType: existing ? existing.type : eventTypes[0],
+        eventTypes,
+        timeZone: cache.getHomeTimeZone()
+      });
+
+      if (items.length !== 1) {
+        const reason = skipped.length > 0 ? skipped[0].reason : 'Exactly one event required';
+        return sendError(res, 403, `<c:valid-calendar-object-resource/><d:responsedescription>${escapeXml(reason)}</d:responsedescription>`);
+      }
+
+      const { uid } = items[0];
+      const { value: event, errors } = validateEvent(items[0].event, { eventTypes });
+      if (errors.length > 0) {
+        return sendError(res, 403, `<c:valid-calendar-object-resource/><d:responsedescription>${escapeXml(formatErrors(errors))}</d:responsedescription>`);
+      }
+
+      let saved;
+      if (existing) {
+        const changes = diffEvent(existing, event);
+        if (event.type !== existing.type) changes.type = event.type;
+        if (uid && uid !== existing.uid) changes.uid = uid;
+        saved = Object.keys(changes).length > 0
+          ? await cache.updateEvent(existing.id, changes, { actor: actorFromRequest(req, 'caldav'), ifMatch })
+          : existing;
+      } else {
+        saved = await cache.addEvent({
+          ...event,
+          ...(uid && { uid }),
+          resourceName: resource.name
+        }, { actor: actorFromRequest(req, 'caldav') });
+      }
+
+      res.set('ETag', eventETag(saved)).status(existing ? 204 : 201).end();
+    } catch (error) {
+      if (error instanceof PreconditionFailedError) return res.status(412).end();
+      res.status(500).send(error.message);
+    }
+  });
+
+  router.delete('*', async (req, res) => {
+    try {
+      const resource = resolve(req.path);
+      if (!resource || resource.kind !== 'event') {
+        return res.status(resource ? 403 : 404).end();
+      }
+
+      const event = cache.findEventByResourceName(resource.name);
+      if (!event) return res.status(404).end();
+
+      const ifMatch = req.headers['if-match'];
+      if (!ifMatchAllows(ifMatch, event)) return res.status(412).end();
+
+      await cache.deleteEvent(event.id, { actor: actorFromRequest(req, 'caldav'), ifMatch });
+      res.status(204).end();
+    } catch (error) {
+      if (error instanceof PreconditionFailedError) return res.status(412).end();
+      res.status(500).send(error.message);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCalDavRouter, basicAuthKey };
@@ -1,10 +1,34 @@
 // Optimized Calendar App with Performance Improvements
+
+const CALENDAR_VIEWS = ['month', 'week', 'day', 'agenda'];
+
+// Values accepted by calendar.weekStartsOn, indexed like Date#getDay
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Hour the week and day views scroll to when first shown
+const TIME_GRID_SCROLL_HOUR = 8;
+
+// Reconnect delays for the live event stream (doubling up to the maximum)
+const STREAM_RETRY_BASE_MS = 1000;
+const STREAM_RETRY_MAX_MS = 30000;
+
+// How long a reminder toast stays up unless dismissed
+const REMINDER_TOAST_MS = 60000;
+
+// Server id of this browser's Web Push subscription
+const PUSH_SUBSCRIPTION_KEY = 'calendar-push-subscription';
+
 class OptimizedCalendar {
   constructor() {
     this.currentDate = new Date();
     this.currentMonth = this.currentDate.getMonth();
     this.currentYear = this.currentDate.getFullYear();
     
+    // Active view and the day it is centred on (week/day views)
+    this.view = 'month';
+    this.focusDate = new Date(this.currentYear, this.currentMonth, this.currentDate.getDate());
+    this.renderedView = null;
+    
     // Caching
     this.events = [];
     this.eventCache = new Map(); // Cache events by month-year
@@ -20,6 +44,27 @@ class OptimizedCalendar {
     this.renderTimeout = null;
     this.pendingUpdates = new Set();
     
+    // Whether the modal is showing conflicts (the next submit saves anyway)
+    this.conflictsConfirmed = false;
+    
+    // Event (or occurrence) open in the modal for editing; null when adding
+    this.editingEvent = null;
+    
+    // Drag in progress in the month grid, and how to undo the last change
+    this.dragState = null;
+    this.lastUndo = null;
+    this.undoTimeout = null;
+    
+    // Live updates from /api/events/stream
+    this.socket = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.shownReminders = new Set();
+    
+    // Fetched months and changes made offline, kept in IndexedDB
+    this.offlineStore = new OfflineStore();
+    this.syncing = false;
+    
     this.init();
   }
 
@@ -27,14 +72,19 @@ class OptimizedCalendar {
     // Cache DOM elements
     this.cacheElements();
     
-    // Load config and events in parallel
-    const [config, events] = await Promise.all([
+    // Load config and the current month's events in parallel
+    const [config] = await Promise.all([
       this.loadConfig(),
       this.loadEventsForMonth()
     ]);
     
     this.config = config;
-    this.events = events;
+    if (CALENDAR_VIEWS.includes(config.calendar.defaultView)) {
+      this.view = config.calendar.defaultView;
+    }
+    
+    // A week can reach into a neighbouring month
+    this.events = await this.loadEventsForView();
     
     // Apply configuration
     this.applyTheme();
@@ -42,24 +92,48 @@ class OptimizedCalendar {
     
     // Use requestAnimationFrame for initial render
     requestAnimationFrame(() => {
-      this.renderCalendar();
+      this.renderView();
       this.renderEventList();
     });
     
     // Attach optimized event listeners
     this.attachEventListeners();
+    
+    // Follow changes made elsewhere
+    this.connectStream();
+    
+    // Reminders while no tab is open
+    this.setupPush();
+    
+    // Send anything left over from an earlier offline session
+    this.updateSyncStatus();
+    this.syncOutbox();
   }
 
   // Cache frequently accessed DOM elements
   cacheElements() {
     this.elements = {
       monthYear: document.getElementById('monthYear'),
+      calendar: document.getElementById('calendar'),
       calendarHeader: document.getElementById('calendarHeader'),
       calendarBody: document.getElementById('calendarBody'),
+      viewSwitcher: document.getElementById('viewSwitcher'),
+      timeGrid: document.getElementById('timeGrid'),
+      timeGridHeader: document.getElementById('timeGridHeader'),
+      timeGridAllDay: document.getElementById('timeGridAllDay'),
+      timeGridBody: document.getElementById('timeGridBody'),
+      agenda: document.getElementById('agenda'),
       eventList: document.getElementById('eventList'),
       eventModal: document.getElementById('eventModal'),
+      modalTitle: document.getElementById('modalTitle'),
+      modalActions: document.getElementById('modalActions'),
+      undoBar: document.getElementById('undoBar'),
+      toastContainer: document.getElementById('toastContainer'),
+      syncStatus: document.getElementById('syncStatus'),
       eventForm: document.getElementById('eventForm'),
-      eventTypeSelect: document.getElementById('eventType')
+      eventTypeSelect: document.getElementById('eventType'),
+      eventConflicts: document.getElementById('eventConflicts'),
+      submitButton: document.querySelector('#eventForm .submit-btn')
     };
     
     this.calendarBody = this.elements.calendarBody;
@@ -114,24 +188,133 @@ class OptimizedCalendar {
       
       // Fetch with month filter
       const response = await fetch(
-        `/api/events?start=${startDate.toISOString().split('T')[0]}&end=${endDate.toISOString().split('T')[0]}`
+        `/api/events?start=${this.toDateString(startDate)}&end=${this.toDateString(endDate)}`
       );
       const data = await response.json();
       
       if (data.success) {
         const events = data.events || [];
-        // Cache the result
+        // Cache the result, and keep a copy for offline use
         this.eventCache.set(cacheKey, events);
+        this.offlineStore.saveMonth(cacheKey, events).catch(error => {
+          console.error('Error saving events offline:', error);
+        });
         return events;
       }
       
       return [];
     } catch (error) {
       console.error('Error loading events:', error);
-      // Try localStorage fallback
-      const saved = localStorage.getItem('calendar-events-' + cacheKey);
-      return saved ? JSON.parse(saved) : [];
+      // Fall back to the copy saved when we were last online
+      try {
+        return (await this.offlineStore.loadMonth(cacheKey)) || [];
+      } catch {
+        return [];
+      }
+    }
+  }
+
+  // Load events for every month the current view touches, reusing the
+  // month cache so stepping through weeks only fetches each month once
+  async loadEventsForView() {
+    const { start, end } = this.getViewRange();
+    const months = [];
+    for (let month = new Date(start.getFullYear(), start.getMonth(), 1); month <= end;
+      month.setMonth(month.getMonth() + 1)) {
+      months.push(this.loadEventsForMonth(month.getMonth(), month.getFullYear()));
+    }
+    
+    // Multi-day and recurring events can be listed by both months
+    const seen = new Set();
+    const events = (await Promise.all(months)).flat().filter(event => {
+      const key = `${event.id}:${event.originalDate || event.date}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    
+    return this.applyOutbox(events, await this.getOutbox());
+  }
+
+  // Show changes still waiting in the outbox on top of the server's events
+  applyOutbox(events, outbox) {
+    outbox.forEach(entry => {
+      const matches = event => event.id === entry.id &&
+        (!entry.originalDate || event.originalDate === entry.originalDate);
+      
+      switch (entry.op) {
+        case 'create':
+          events = events.concat({ ...entry.data, id: entry.id, pending: true });
+          break;
+        case 'update':
+          events = events.map(event => (matches(event)
+            ? { ...this.mergeChanges(event, entry.changes), pending: true }
+            : event));
+          break;
+        case 'delete':
+        case 'cancel-occurrence':
+          events = events.filter(event => !matches(event));
+          break;
+      }
+    });
+    return events;
+  }
+
+  async getOutbox() {
+    try {
+      return await this.offlineStore.getOutbox();
+    } catch (error) {
+      console.error('Error reading offline changes:', error);
+      return [];
+    }
+  }
+
+  // First and last day shown by the current view
+  getViewRange() {
+    if (this.view === 'month') {
+      // Whole weeks, including the neighbouring months' days around this one
+      const first = new Date(this.currentYear, this.currentMonth, 1);
+      const last = new Date(this.currentYear, this.currentMonth + 1, 0);
+      return {
+        start: this.getWeekStart(first),
+        end: this.addDays(this.getWeekStart(last), 6)
+      };
+    }
+    if (this.view === 'week') {
+      const start = this.getWeekStart(this.focusDate);
+      return { start, end: this.addDays(start, 6) };
+    }
+    if (this.view === 'day') {
+      return { start: this.focusDate, end: this.focusDate };
+    }
+    return {
+      start: new Date(this.currentYear, this.currentMonth, 1),
+      end: new Date(this.currentYear, this.currentMonth + 1, 0)
+    };
+  }
+
+  // Show the active view and hide the others
+  renderView() {
+    const { calendar, timeGrid, agenda, viewSwitcher } = this.elements;
+    const isTimeGrid = this.view === 'week' || this.view === 'day';
+    
+    calendar.hidden = this.view !== 'month';
+    timeGrid.hidden = !isTimeGrid;
+    agenda.hidden = this.view !== 'agenda';
+    
+    viewSwitcher.querySelectorAll('.view-btn').forEach(button => {
+      button.classList.toggle('active', button.dataset.view === this.view);
+    });
+    
+    if (isTimeGrid) {
+      this.renderTimeGrid();
+    } else if (this.view === 'agenda') {
+      this.renderAgenda();
+    } else {
+      this.renderCalendar();
     }
+    
+    this.renderedView = this.view;
   }
 
   // Optimized calendar rendering with minimal DOM manipulation
@@ -150,43 +333,24 @@ class OptimizedCalendar {
     
     // Use DocumentFragment for better performance
     const fragment = document.createDocumentFragment();
-    const daysInMonth = this.getDaysInMonth(this.currentMonth, this.currentYear);
-    const firstDay = this.getFirstDayOfMonth(this.currentMonth, this.currentYear);
-    
-    // Reuse date formatting
-    const today = new Date();
-    const isCurrentMonth = 
-      this.currentMonth === today.getMonth() && 
-      this.currentYear === today.getFullYear();
-    const todayDate = today.getDate();
+    const { start, end } = this.getViewRange();
+    const todayStr = this.toDateString(new Date());
     
-    let date = 1;
-    
-    // Create calendar grid efficiently
-    for (let week = 0; week < 6; week++) {
+    // Create calendar grid efficiently, one row per week
+    for (let weekStart = start; weekStart <= end; weekStart = this.addDays(weekStart, 7)) {
       const row = document.createElement('tr');
       
+      if (this.config.calendar.showWeekNumbers) {
+        row.appendChild(this.createWeekNumberCell(weekStart));
+      }
+      
       for (let day = 0; day < 7; day++) {
         const cell = document.createElement('td');
-        
-        if (week === 0 && day < firstDay) {
-          // Previous month - skip for now
-          cell.classList.add('other-month');
-        } else if (date > daysInMonth) {
-          // Next month - skip for now
-          cell.classList.add('other-month');
-        } else {
-          // Current month day
-          this.configureDayCell(cell, date, day, isCurrentMonth, todayDate);
-          date++;
-        }
-        
+        this.configureDayCell(cell, this.addDays(weekStart, day), day === 0, todayStr);
         row.appendChild(cell);
       }
       
       fragment.appendChild(row);
-      
-      if (date > daysInMonth) break;
     }
     
     // Single DOM update
@@ -195,14 +359,20 @@ class OptimizedCalendar {
   }
 
   // Configure individual day cell
-  configureDayCell(cell, date, dayOfWeek, isCurrentMonth, todayDate) {
-    const dateStr = `${this.currentYear}-${String(this.currentMonth + 1).padStart(2, '0')}-${String(date).padStart(2, '0')}`;
+  configureDayCell(cell, day, isRowStart, todayStr) {
+    const dateStr = this.toDateString(day);
+    const dayOfWeek = day.getDay();
     
     cell.dataset.date = dateStr;
-    cell.innerHTML = `<div class="calendar-date">${date}</div>`;
+    cell.innerHTML = `<div class="calendar-date">${day.getDate()}</div>`;
+    
+    // Days of the previous and next month fill out the first and last week
+    if (day.getMonth() !== this.currentMonth) {
+      cell.classList.add('other-month');
+    }
     
     // Highlight today
-    if (isCurrentMonth && date === todayDate && this.config.calendar.highlightToday) {
+    if (dateStr === todayStr && this.config.calendar.highlightToday) {
       cell.classList.add('today');
     }
     
@@ -214,24 +384,51 @@ class OptimizedCalendar {
     // Add events efficiently
     const dayEvents = this.getEventsForDate(dateStr);
     if (dayEvents.length > 0) {
-      this.addEventIndicators(cell, dayEvents);
+      this.addEventIndicators(cell, dayEvents, isRowStart);
     }
   }
 
-  // Get events for a specific date from cached events
+  createWeekNumberCell(weekStart) {
+    const cell = document.createElement('td');
+    cell.className = 'week-number';
+    cell.textContent = this.getWeekNumber(weekStart);
+    return cell;
+  }
+
+  // Get events covering a specific date from cached events.
+  // Multi-day events come first so their bars line up across cells.
   getEventsForDate(dateStr) {
-    return this.events.filter(event => event.date === dateStr);
+    return this.events
+      .filter(event => event.date <= dateStr && this.getEventEndDate(event) >= dateStr)
+      .sort((a, b) => this.isMultiDay(b) - this.isMultiDay(a) ||
+        a.date.localeCompare(b.date) ||
+        (a.time || '').localeCompare(b.time || ''));
+  }
+
+  // Last day an event covers (an end at midnight doesn't cover that day)
+  getEventEndDate(event) {
+    const endDate = event.endDate || event.date;
+    if (event.endTime === '00:00' && endDate > event.date) {
+      const last = new Date(`${endDate}T00:00:00Z`);
+      last.setUTCDate(last.getUTCDate() - 1);
+      return last.toISOString().split('T')[0];
+    }
+    return endDate;
+  }
+
+  isMultiDay(event) {
+    return this.getEventEndDate(event) > event.date;
   }
 
   // Add event indicators to cell
-  addEventIndicators(cell, events) {
+  addEventIndicators(cell, events, isRowStart) {
     cell.classList.add('has-event');
     
     const maxToShow = Math.min(events.length, this.config.calendar.maxEventsPerDay - 1);
     const fragment = document.createDocumentFragment();
     
     for (let i = 0; i < maxToShow; i++) {
-      const indicator = this.createEventIndicator(events[i]);
+      const indicator = this.createEventIndicator(events[i], cell.dataset.date, isRowStart);
       fragment.appendChild(indicator);
     }
     
@@ -245,10 +442,13 @@ class OptimizedCalendar {
     cell.appendChild(fragment);
   }
 
-  // Create event indicator element
-  createEventIndicator(event) {
+  // Create event indicator element. Multi-day events become a segment of a
+  // bar spanning cells, labelled where it starts and at the start of each row.
+  createEventIndicator(event, dateStr, isRowStart) {
     const indicator = document.createElement('span');
     indicator.className = 'event-indicator';
+    indicator.classList.toggle('pending', Boolean(event.pending));
+    this.tagEventElement(indicator, event);
     
     const eventType = this.config.eventTypes.find(t => t.value === event.type);
     if (eventType) {
@@ -258,19 +458,291 @@ class OptimizedCalendar {
       indicator.textContent = event.title;
     }
     
-    indicator.title = event.title;
+    if (this.isMultiDay(event)) {
+      indicator.classList.add('event-span');
+      if (dateStr === event.date) indicator.classList.add('span-start');
+      if (dateStr === this.getEventEndDate(event)) indicator.classList.add('span-end');
+      if (dateStr !== event.date && !isRowStart) indicator.textContent = '\u00a0';
+    }
+    
+    indicator.title = `${event.title} (${this.formatEventDate(event)})`;
+    
+    // Month grid events can be dragged to another day, or moved with the keyboard
+    if (this.view === 'month') {
+      indicator.draggable = true;
+      indicator.tabIndex = 0;
+      indicator.title += '\nDrag to move (Ctrl/Alt to copy) · Alt+arrows to move, Alt+Shift+←/→ to change the end';
+      
+      // A handle on the last day stretches the event (timed events need an end time)
+      if (dateStr === this.getEventEndDate(event) && (!event.time || event.endTime)) {
+        const handle = document.createElement('span');
+        handle.className = 'resize-handle';
+        handle.draggable = true;
+        indicator.appendChild(handle);
+      }
+    }
+    
     return indicator;
   }
 
-  // Render headers once
+  // Week and day views: all-day events above an hour-by-hour grid with
+  // timed events placed by their start and end
+  renderTimeGrid() {
+    const { monthYear, timeGrid, timeGridHeader, timeGridAllDay, timeGridBody } = this.elements;
+    const { start, end } = this.getViewRange();
+    const { dayNames, monthNames } = this.config.locale;
+    const todayStr = this.toDateString(new Date());
+    
+    const days = [];
+    for (let day = start; day <= end; day = this.addDays(day, 1)) {
+      days.push(day);
+    }
+    
+    monthYear.textContent = this.view === 'day'
+      ? `${dayNames[start.getDay()]} ${start.getDate()} ${monthNames[start.getMonth()]} ${start.getFullYear()}`
+      : `${start.getDate()} ${monthNames[start.getMonth()]} – ${end.getDate()} ${monthNames[end.getMonth()]} ${end.getFullYear()}`;
+    if (this.view === 'week' && this.config.calendar.showWeekNumbers) {
+      monthYear.textContent += ` (Week ${this.getWeekNumber(start)})`;
+    }
+    timeGrid.style.setProperty('--days', days.length);
+    
+    // Keep the scroll position while navigating within the same view
+    const scrollTop = this.renderedView === this.view ? timeGridBody.scrollTop : null;
+    
+    const header = document.createDocumentFragment();
+    const allDay = document.createDocumentFragment();
+    const body = document.createDocumentFragment();
+    
+    header.appendChild(document.createElement('div'));
+    const allDayLabel = document.createElement('div');
+    allDayLabel.className = 'time-grid-label';
+    allDayLabel.textContent = 'all-day';
+    allDay.appendChild(allDayLabel);
+    
+    const hours = document.createElement('div');
+    hours.className = 'time-grid-hours';
+    for (let hour = 0; hour < 24; hour++) {
+      const label = document.createElement('div');
+      label.className = 'time-grid-label';
+      label.textContent = `${String(hour).padStart(2, '0')}:00`;
+      hours.appendChild(label);
+    }
+    body.appendChild(hours);
+    
+    days.forEach((day, index) => {
+      const dateStr = this.toDateString(day);
+      const isToday = dateStr === todayStr && this.config.calendar.highlightToday;
+      const isWeekend = this.config.calendar.highlightWeekends && (day.getDay() === 0 || day.getDay() === 6);
+      
+      const heading = document.createElement('div');
+      heading.className = 'time-grid-heading';
+      heading.classList.toggle('today', isToday);
+      heading.textContent = `${dayNames[day.getDay()]} ${day.getDate()}`;
+      header.appendChild(heading);
+      
+      const allDayCell = document.createElement('div');
+      allDayCell.className = 'time-grid-all-day-cell';
+      allDayCell.dataset.date = dateStr;
+      this.getEventsForDate(dateStr)
+        .filter(event => !event.time)
+        .forEach(event => allDayCell.appendChild(this.createEventIndicator(event, dateStr, index === 0)));
+      allDay.appendChild(allDayCell);
+      
+      const column = document.createElement('div');
+      column.className = 'time-grid-day';
+      column.classList.toggle('today-column', isToday);
+      column.classList.toggle('weekend', isWeekend);
+      column.dataset.date = dateStr;
+      this.layoutTimedSegments(this.getTimedSegments(dateStr))
+        .forEach(segment => column.appendChild(this.createTimedEventElement(segment)));
+      body.appendChild(column);
+    });
+    
+    timeGridHeader.innerHTML = '';
+    timeGridHeader.appendChild(header);
+    timeGridAllDay.innerHTML = '';
+    timeGridAllDay.appendChild(allDay);
+    timeGridBody.innerHTML = '';
+    timeGridBody.appendChild(body);
+    
+    timeGridBody.scrollTop = scrollTop !== null
+      ? scrollTop
+      : timeGridBody.scrollHeight / 24 * TIME_GRID_SCROLL_HOUR;
+  }
+
+  // The part of each timed event that falls on a day, in minutes from midnight
+  getTimedSegments(dateStr) {
+    const defaultDuration = this.config.scheduling?.defaultDurationMinutes || 60;
+    
+    return this.getEventsForDate(dateStr)
+      .filter(event => event.time)
+      .map(event => {
+        const start = event.date === dateStr ? this.toMinutes(event.time) : 0;
+        const endDate = event.endDate || event.date;
+        let end;
+        if (endDate > dateStr) {
+          end = 24 * 60;
+        } else if (event.endTime) {
+          end = this.toMinutes(event.endTime);
+        } else {
+          end = start + defaultDuration;
+        }
+        // Keep very short events tall enough to read
+        return { event, start, end: Math.min(Math.max(end, start + 15), 24 * 60) };
+      });
+  }
+
+  // Put overlapping segments side by side: each gets the first free lane,
+  // and every segment in a group of overlaps shares that group's lane count
+  layoutTimedSegments(segments) {
+    const laneEnds = [];
+    let group = [];
+    const closeGroup = () => group.forEach(segment => { segment.lanes = laneEnds.length; });
+    
+    segments
+      .sort((a, b) => a.start - b.start || b.end - a.end)
+      .forEach(segment => {
+        if (group.length > 0 && laneEnds.every(end => end <= segment.start)) {
+          closeGroup();
+          group = [];
+          laneEnds.length = 0;
+        }
+        
+        let lane = laneEnds.findIndex(end => end <= segment.start);
+        if (lane === -1) lane = laneEnds.length;
+        laneEnds[lane] = segment.end;
+        segment.lane = lane;
+        group.push(segment);
+      });
+    closeGroup();
+    
+    return segments;
+  }
+
+  createTimedEventElement({ event, start, end, lane, lanes }) {
+    const element = document.createElement('div');
+    element.className = 'time-grid-event';
+    this.tagEventElement(element, event);
+    element.style.top = `${start / (24 * 60) * 100}%`;
+    element.style.height = `${(end - start) / (24 * 60) * 100}%`;
+    element.style.left = `${lane / lanes * 100}%`;
+    element.style.width = `${100 / lanes}%`;
+    
+    const eventType = this.config.eventTypes.find(t => t.value === event.type);
+    if (eventType) element.style.backgroundColor = eventType.color;
+    
+    const time = document.createElement('div');
+    time.className = 'time-grid-event-time';
+    time.textContent = event.endTime ? `${event.time} – ${event.endTime}` : event.time;
+    const title = document.createElement('div');
+    title.textContent = `${eventType?.icon || ''} ${event.title}`.trim();
+    element.append(time, title);
+    
+    element.title = `${event.title} (${this.formatEventDate(event)})`;
+    return element;
+  }
+
+  // Agenda view: the month's events as a scrollable list grouped by day
+  renderAgenda() {
+    const { monthYear, agenda } = this.elements;
+    const { start, end } = this.getViewRange();
+    const { dayNames, monthNames } = this.config.locale;
+    const todayStr = this.toDateString(new Date());
+    const fragment = document.createDocumentFragment();
+    let todayGroup = null;
+    
+    monthYear.textContent = `${monthNames[this.currentMonth]} ${this.currentYear}`;
+    
+    for (let day = start; day <= end; day = this.addDays(day, 1)) {
+      const dateStr = this.toDateString(day);
+      const events = this.getEventsForDate(dateStr);
+      if (events.length === 0) continue;
+      
+      const group = document.createElement('div');
+      group.className = 'agenda-day';
+      group.classList.toggle('agenda-today', dateStr === todayStr);
+      
+      const heading = document.createElement('div');
+      heading.className = 'agenda-date';
+      heading.textContent = `${dayNames[day.getDay()]} ${day.getDate()} ${monthNames[day.getMonth()]}`;
+      group.appendChild(heading);
+      
+      events.forEach(event => group.appendChild(this.createAgendaItem(event, dateStr)));
+      fragment.appendChild(group);
+      
+      if (!todayGroup && dateStr >= todayStr) todayGroup = group;
+    }
+    
+    agenda.innerHTML = '';
+    if (fragment.childNodes.length === 0) {
+      agenda.innerHTML = '<p style="color: var(--text-muted);">No events this month</p>';
+      return;
+    }
+    agenda.appendChild(fragment);
+    
+    // Start at today (or the next day with events) when it's in this month
+    agenda.scrollTop = todayGroup ? todayGroup.offsetTop - agenda.offsetTop : 0;
+  }
+
+  createAgendaItem(event, dateStr) {
+    const item = document.createElement('div');
+    item.className = 'agenda-event';
+    this.tagEventElement(item, event);
+    
+    const eventType = this.config.eventTypes.find(t => t.value === event.type);
+    if (eventType) item.style.borderLeftColor = eventType.color;
+    
+    const time = document.createElement('span');
+    time.className = 'agenda-time';
+    if (!event.time || (dateStr !== event.date && dateStr !== event.endDate)) {
+      time.textContent = 'all day';
+    } else if (dateStr !== event.date) {
+      time.textContent = `until ${event.endTime}`;
+    } else {
+      time.textContent = event.endTime && !this.isMultiDay(event)
+        ? `${event.time} – ${event.endTime}`
+        : event.time;
+    }
+    
+    const title = document.createElement('span');
+    title.className = 'agenda-title';
+    title.textContent = `${eventType?.icon || ''} ${event.title}`.trim();
+    
+    item.append(time, title);
+    item.title = this.formatEventDate(event);
+    return item;
+  }
+
+  // Remember which event an element shows so clicks can open it
+  tagEventElement(element, event) {
+    element.dataset.id = event.id;
+    if (event.originalDate) element.dataset.originalDate = event.originalDate;
+  }
+
+  // The event (or occurrence) behind a tagged element
+  findEventForElement(element) {
+    const { id, originalDate } = element.dataset;
+    return this.events.find(event => event.id === id && event.originalDate === originalDate);
+  }
+
+  // Render headers once, starting from the configured first day of the week
   renderHeaders() {
     const fragment = document.createDocumentFragment();
+    const { dayNames } = this.config.locale;
+    const firstDay = this.getFirstDayOfWeek();
     
-    this.config.locale.dayNames.forEach(day => {
+    if (this.config.calendar.showWeekNumbers) {
       const th = document.createElement('th');
-      th.textContent = day;
+      th.className = 'week-number';
+      th.textContent = 'Wk';
       fragment.appendChild(th);
-    });
+    }
+    
+    for (let i = 0; i < 7; i++) {
+      const th = document.createElement('th');
+      th.textContent = dayNames[(firstDay + i) % 7];
+      fragment.appendChild(th);
+    }
     
     this.elements.calendarHeader.appendChild(fragment);
   }
@@ -279,15 +751,83 @@ class OptimizedCalendar {
   attachEventListeners() {
     // Single event listener for entire calendar body
     this.calendarBody.addEventListener('click', (e) => {
+      if (this.openEventElement(e.target.closest('.event-indicator[data-id]'))) return;
+      
       const cell = e.target.closest('td');
       if (cell && cell.dataset.date) {
         this.handleDateClick(cell.dataset.date);
       }
     });
     
+    // Drag and drop in the month grid
+    this.calendarBody.addEventListener('dragstart', (e) => this.handleDragStart(e));
+    this.calendarBody.addEventListener('dragover', (e) => this.handleDragOver(e));
+    this.calendarBody.addEventListener('dragleave', (e) => {
+      e.target.closest('td')?.classList.remove('drop-target');
+    });
+    this.calendarBody.addEventListener('drop', (e) => this.handleDrop(e));
+    this.calendarBody.addEventListener('dragend', () => {
+      this.dragState = null;
+      this.calendarBody.querySelectorAll('.drop-target').forEach(cell => cell.classList.remove('drop-target'));
+    });
+    this.calendarBody.addEventListener('keydown', (e) => this.handleIndicatorKeydown(e));
+    
+    // Undo the last move from the bar or with Ctrl+Z outside form fields
+    this.elements.undoBar.querySelector('button').addEventListener('click', () => this.undoLastChange());
+    document.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && this.lastUndo &&
+        !this.elements.eventModal.classList.contains('show') &&
+        !e.target.closest('input, textarea, select')) {
+        e.preventDefault();
+        this.undoLastChange();
+      }
+    });
+    
+    // Reconnect and send queued changes as soon as the network is back
+    window.addEventListener('online', () => {
+      if (this.socket?.readyState === WebSocket.CLOSED) {
+        clearTimeout(this.reconnectTimer);
+        this.connectStream();
+      }
+      this.syncOutbox();
+    });
+    window.addEventListener('offline', () => this.updateSyncStatus());
+    
+    // Clicking an hour in the week/day grid starts an event at that hour
+    this.elements.timeGridBody.addEventListener('click', (e) => {
+      if (this.openEventElement(e.target.closest('.time-grid-event'))) return;
+      
+      const column = e.target.closest('.time-grid-day');
+      if (!column) return;
+      
+      const rect = column.getBoundingClientRect();
+      const hour = Math.min(23, Math.floor((e.clientY - rect.top) / rect.height * 24));
+      document.getElementById('eventTime').value = `${String(hour).padStart(2, '0')}:00`;
+      this.handleDateClick(column.dataset.date);
+    });
+    
+    this.elements.timeGridAllDay.addEventListener('click', (e) => {
+      if (this.openEventElement(e.target.closest('.event-indicator[data-id]'))) return;
+      
+      const cell = e.target.closest('.time-grid-all-day-cell');
+      if (cell) {
+        document.getElementById('eventAllDay').checked = true;
+        this.handleDateClick(cell.dataset.date);
+      }
+    });
+    
+    this.elements.agenda.addEventListener('click', (e) => {
+      this.openEventElement(e.target.closest('.agenda-event'));
+    });
+    
+    this.elements.viewSwitcher.addEventListener('click', (e) => {
+      const button = e.target.closest('.view-btn');
+      if (button) this.setView(button.dataset.view);
+    });
+    
     // Navigation buttons
-    document.getElementById('prevMonth').addEventListener('click', () => this.changeMonth(-1));
-    document.getElementById('nextMonth').addEventListener('click', () => this.changeMonth(1));
+    document.getElementById('prevMonth').addEventListener('click', () => this.navigate(-1));
+    document.getElementById('nextMonth').addEventListener('click', () => this.navigate(1));
     document.getElementById('todayBtn').addEventListener('click', () => this.goToToday());
     
     // Modal events
@@ -297,6 +837,17 @@ class OptimizedCalendar {
     // Form submission
     this.elements.eventForm.addEventListener('submit', (e) => this.handleFormSubmit(e));
     
+    // Actions on the event being edited
+    document.getElementById('duplicateEventBtn').addEventListener('click', () => this.duplicateEvent());
+    document.getElementById('deleteEventBtn').addEventListener('click', () => this.deleteFromModal());
+    
+    // Re-check conflicts whenever the event's timing changes
+    ['eventDate', 'eventTime', 'eventEndDate', 'eventEndTime', 'eventAllDay'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => {
+        this.checkConflicts(this.getFormEventData());
+      });
+    });
+    
     // Modal backdrop click
     this.elements.eventModal.addEventListener('click', (e) => {
       if (e.target === this.elements.eventModal) {
@@ -305,28 +856,135 @@ class OptimizedCalendar {
     });
   }
 
-  // Optimized month navigation
-  async changeMonth(direction) {
-    this.currentMonth += direction;
+  handleDragStart(e) {
+    const indicator = e.target.closest('.event-indicator[data-id]');
+    const event = indicator && this.findEventForElement(indicator);
+    if (!event) return;
+    
+    this.dragState = {
+      event,
+      fromDate: indicator.closest('td').dataset.date,
+      resize: e.target.classList.contains('resize-handle')
+    };
+    e.dataTransfer.effectAllowed = this.dragState.resize ? 'move' : 'copyMove';
+    e.dataTransfer.setData('text/plain', event.title);
+  }
+
+  // Holding Ctrl (Alt/Option on macOS) copies instead of moving
+  isCopyDrop(e) {
+    return e.ctrlKey || e.altKey;
+  }
+
+  handleDragOver(e) {
+    const cell = e.target.closest('td[data-date]');
+    if (!this.dragState || !cell) return;
+    
+    e.preventDefault();
+    e.dataTransfer.dropEffect = !this.dragState.resize && this.isCopyDrop(e) ? 'copy' : 'move';
+    cell.classList.add('drop-target');
+  }
+
+  handleDrop(e) {
+    const cell = e.target.closest('td[data-date]');
+    const drag = this.dragState;
+    if (!drag || !cell) return;
+    
+    e.preventDefault();
+    cell.classList.remove('drop-target');
+    this.dragState = null;
+    
+    if (drag.resize) {
+      this.resizeEvent(drag.event, cell.dataset.date);
+    } else {
+      // Dragging any day of a multi-day event shifts the whole event
+      const days = this.daysBetween(drag.fromDate, cell.dataset.date);
+      this.moveEvent(drag.event, days, this.isCopyDrop(e));
+    }
+  }
+
+  // Keyboard alternative to dragging a focused event indicator:
+  // Alt+←/→ moves a day, Alt+↑/↓ a week, with Ctrl it copies,
+  // Alt+Shift+←/→ moves the end date, and Enter opens the event
+  async handleIndicatorKeydown(e) {
+    const indicator = e.target.closest('.event-indicator[data-id]');
+    const event = indicator && this.findEventForElement(indicator);
+    if (!event) return;
+    
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      this.showEditModal(event);
+      return;
+    }
+    
+    const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+    if (!e.altKey || !(e.key in steps)) return;
+    e.preventDefault();
+    
+    let saved;
+    if (e.shiftKey) {
+      if (Math.abs(steps[e.key]) !== 1) return;
+      saved = await this.resizeEvent(event, this.shiftDate(this.getEventEndDate(event), steps[e.key]));
+    } else {
+      saved = await this.moveEvent(event, steps[e.key], e.ctrlKey);
+    }
+    
+    // Keep focus on the event where it landed
+    if (saved) this.focusIndicator(saved, e.ctrlKey ? undefined : event.originalDate);
+  }
+
+  focusIndicator(event, originalDate = event.originalDate) {
+    const selector = `.event-indicator[data-id="${CSS.escape(String(event.id))}"]` +
+      (originalDate ? `[data-original-date="${originalDate}"]` : ':not([data-original-date])');
+    this.calendarBody.querySelector(selector)?.focus();
+  }
+
+  async setView(view) {
+    if (view === this.view || !CALENDAR_VIEWS.includes(view)) return;
+    
+    this.view = view;
+    this.events = await this.loadEventsForView();
     
-    if (this.currentMonth < 0) {
-      this.currentMonth = 11;
-      this.currentYear--;
-    } else if (this.currentMonth > 11) {
-      this.currentMonth = 0;
-      this.currentYear++;
+    requestAnimationFrame(() => {
+      this.renderView();
+      this.renderEventList();
+    });
+  }
+
+  // Step back or forward by the current view's unit
+  async navigate(direction) {
+    if (this.view === 'week' || this.view === 'day') {
+      this.setFocusDate(this.addDays(this.focusDate, direction * (this.view === 'week' ? 7 : 1)));
+      this.events = await this.loadEventsForView();
+      
+      requestAnimationFrame(() => {
+        this.renderView();
+        this.renderEventList();
+      });
+    } else {
+      await this.changeMonth(direction);
     }
+  }
+
+  // Optimized month navigation
+  async changeMonth(direction) {
+    this.setFocusDate(new Date(this.currentYear, this.currentMonth + direction, 1));
     
     // Load events for new month
-    this.events = await this.loadEventsForMonth();
+    this.events = await this.loadEventsForView();
     
     // Use RAF for smooth transition
     requestAnimationFrame(() => {
-      this.renderCalendar();
+      this.renderView();
       this.renderEventList();
     });
   }
 
+  setFocusDate(date) {
+    this.focusDate = date;
+    this.currentMonth = date.getMonth();
+    this.currentYear = date.getFullYear();
+  }
+
   // Optimistic UI updates
   async addEvent(eventData) {
     // Create optimistic event
@@ -340,13 +998,14 @@ class OptimizedCalendar {
     this.events.push(optimisticEvent);
     
     // Update UI immediately
-    this.updateCalendarCell(eventData.date);
+    this.updateEventCells(optimisticEvent);
     this.renderEventList();
     this.hideModal();
     
     try {
       // Send to server
-      const response = await fetch('/api/events', {
+      // Conflicts were already shown in the modal
+      const response = await fetch('/api/events?conflicts=ignore', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(eventData)
@@ -355,56 +1014,281 @@ class OptimizedCalendar {
       const data = await response.json();
       
       if (data.success) {
-        // Replace optimistic event with real one
+        // Replace optimistic event with real one (the stream may have
+        // delivered it already)
+        this.events = this.events.filter(e => e.id !== data.event.id);
         const index = this.events.findIndex(e => e.id === optimisticEvent.id);
         if (index !== -1) {
           this.events[index] = data.event;
         }
+        this.updateEventCells(data.event);
         
-        // Clear cache for this month
-        const cacheKey = `${this.currentYear}-${this.currentMonth}`;
-        this.eventCache.delete(cacheKey);
-      } else {
-        // Rollback on failure
-        this.events = this.events.filter(e => e.id !== optimisticEvent.id);
-        this.updateCalendarCell(eventData.date);
-        alert('Failed to save event');
+        // Clear cache for the months it covers
+        this.invalidateEventCache(data.event);
+        return data.event;
       }
+      
+      // Rollback on failure
+      this.events = this.events.filter(e => e.id !== optimisticEvent.id);
+      this.updateEventCells(optimisticEvent);
+      alert(`Failed to save event: ${data.error}`);
     } catch (error) {
+      // Offline: keep the event and send it once we're back
+      if (this.isOfflineError(error) && await this.queueChange({
+        op: 'create',
+        id: optimisticEvent.id,
+        title: eventData.title,
+        data: eventData
+      })) {
+        optimisticEvent.pending = true;
+        this.updateEventCells(optimisticEvent);
+        return optimisticEvent;
+      }
+      
       console.error('Error saving event:', error);
       // Rollback
       this.events = this.events.filter(e => e.id !== optimisticEvent.id);
-      this.updateCalendarCell(eventData.date);
+      this.updateEventCells(optimisticEvent);
+      alert(`Failed to save event: ${error.message}`);
     }
+    return null;
   }
 
-  // Update single calendar cell instead of re-rendering entire calendar
-  updateCalendarCell(dateStr) {
-    const cell = this.calendarBody.querySelector(`td[data-date="${dateStr}"]`);
-    if (!cell) return;
-    
-    // Remove existing indicators
-    const indicators = cell.querySelectorAll('.event-indicator');
-    indicators.forEach(i => i.remove());
-    
-    // Re-add event indicators
-    const dayEvents = this.getEventsForDate(dateStr);
-    if (dayEvents.length > 0) {
-      this.addEventIndicators(cell, dayEvents);
-    } else {
-      cell.classList.remove('has-event');
+  // Optimistic edit through PUT, rolled back like addEvent. An occurrence of a
+  // repeating event is edited on its own; the rest of the series is unchanged.
+  // Resolves to the saved event, or null when the change was rolled back.
+  async updateEvent(original, changes) {
+    // Occurrence overrides only take a subset of fields and can't clear any
+    if (original.originalDate) {
+      changes = Object.fromEntries(Object.entries(changes)
+        .filter(([field, value]) => field !== 'allDay' && value !== null));
     }
-  }
-
-  // Optimized event list rendering
-  renderEventList() {
-    if (!this.elements.eventList) return;
     
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const updated = this.mergeChanges(original, changes);
+    
+    // Update UI immediately
+    this.replaceEvent(original, updated);
+    this.hideModal();
+    
+    const url = original.originalDate
+      ? `/api/events/${encodeURIComponent(original.id)}/occurrences/${original.originalDate}`
+      : `/api/events/${encodeURIComponent(original.id)}?conflicts=ignore`;
+    
+    try {
+      const response = await fetch(url, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...this.ifMatch(original) },
+        body: JSON.stringify(changes)
+      });
+      
+      const data = await response.json();
+      
+      if (response.status === 412) {
+        this.replaceEvent(updated, original);
+        await this.reloadChangedEvent(original);
+        return null;
+      }
+      
+      if (data.success) {
+        if (original.recurrence) {
+          // The server returns the series, so re-expand it
+          this.eventCache.clear();
+          await this.refreshEvents();
+          return updated;
+        }
+        
+        this.replaceEvent(updated, data.event);
+        this.invalidateEventCache(original);
+        this.invalidateEventCache(data.event);
+        return data.event;
+      }
+      
+      // Rollback on failure
+      this.replaceEvent(updated, original);
+      alert(`Failed to update event: ${data.error}`);
+    } catch (error) {
+      // Offline: keep the change and send it once we're back
+      if (this.isOfflineError(error) && await this.queueChange({
+        op: 'update',
+        id: original.id,
+        originalDate: original.originalDate,
+        title: original.title,
+        changes,
+        base: this.getVersion(original)
+      })) {
+        updated.pending = true;
+        this.updateEventCells(updated);
+        return updated;
+      }
+      
+      console.error('Error updating event:', error);
+      // Rollback
+      this.replaceEvent(updated, original);
+      alert(`Failed to update event: ${error.message}`);
+    }
+    return null;
+  }
+
+  // An event with changes applied; null removes a field
+  mergeChanges(event, changes) {
+    const merged = { ...event, ...changes };
+    Object.keys(changes).forEach(field => {
+      if (changes[field] === null) delete merged[field];
+    });
+    return merged;
+  }
+
+  // Fields to PUT for an edit: the form's values plus nulls for the ones it cleared
+  getEventChanges(original, eventData) {
+    const changes = { ...eventData };
+    ['time', 'endDate', 'endTime'].forEach(field => {
+      if (!(field in changes) && original[field]) changes[field] = null;
+    });
+    return changes;
+  }
+
+  // Move (or copy) an event by whole days, keeping its length. The change can
+  // be undone until the next one.
+  async moveEvent(event, days, copy = false) {
+    if (days === 0) return;
+    
+    const dates = {
+      date: this.shiftDate(event.date, days),
+      ...(event.endDate && { endDate: this.shiftDate(event.endDate, days) })
+    };
+    
+    if (copy) {
+      const saved = await this.addEvent(this.getEventCopy(event, dates));
+      if (saved) {
+        this.setUndo(`Copied "${event.title}" to ${this.formatShortDate(dates.date)}`, () => this.deleteEvent(saved.id));
+      }
+      return saved;
+    }
+    
+    const saved = await this.updateEvent(event, dates);
+    if (saved) {
+      const previous = { date: event.date, endDate: event.endDate || null };
+      this.setUndo(`Moved "${event.title}" to ${this.formatShortDate(dates.date)}`,
+        () => this.updateEvent(this.findEvent(saved, event.originalDate), previous));
+    }
+    return saved;
+  }
+
+  // Change the last day of an event, keeping its start
+  async resizeEvent(event, endDate) {
+    const currentEnd = event.endDate || event.date;
+    if (endDate < event.date || endDate === currentEnd) return null;
+    
+    const saved = await this.updateEvent(event, { endDate: endDate === event.date ? null : endDate });
+    if (saved) {
+      const previous = { endDate: event.endDate || null };
+      this.setUndo(`"${event.title}" now ends ${this.formatShortDate(endDate)}`,
+        () => this.updateEvent(this.findEvent(saved, event.originalDate), previous));
+    }
+    return saved;
+  }
+
+  // Fields for a new event copied from an existing one (or occurrence)
+  getEventCopy(event, changes) {
+    const {
+      id, createdAt, updatedAt, originalDate, pending,
+      recurrence, exdates, overrides, ...fields
+    } = event;
+    return { ...fields, ...changes };
+  }
+
+  // Current local copy of an event; occurrences are matched on their original date
+  findEvent(event, originalDate = event.originalDate) {
+    return this.events.find(e => e.id === event.id && e.originalDate === originalDate) || event;
+  }
+
+  // Offer to undo the last move, copy, resize or delete
+  setUndo(message, undo) {
+    const { undoBar } = this.elements;
+    this.lastUndo = undo;
+    
+    undoBar.querySelector('.undo-message').textContent = message;
+    undoBar.hidden = false;
+    clearTimeout(this.undoTimeout);
+    this.undoTimeout = setTimeout(() => { undoBar.hidden = true; }, 10000);
+  }
+
+  async undoLastChange() {
+    const undo = this.lastUndo;
+    if (!undo) return;
+    
+    this.lastUndo = null;
+    this.elements.undoBar.hidden = true;
+    await undo();
+  }
+
+  // Swap an event (or one occurrence) in local state and redraw both places
+  replaceEvent(from, to) {
+    const index = this.events.findIndex(event => event === from ||
+      (event.id === from.id && event.originalDate === from.originalDate));
+    if (index !== -1) {
+      this.events[index] = to;
+    }
+    
+    this.updateEventCells(from);
+    this.updateEventCells(to);
+    this.renderEventList();
+  }
+
+  // Reload the current view's events and redraw
+  async refreshEvents() {
+    this.events = await this.loadEventsForView();
+    
+    requestAnimationFrame(() => {
+      this.renderView();
+      this.renderEventList();
+    });
+  }
+
+  // Update single calendar cell instead of re-rendering entire calendar
+  updateCalendarCell(dateStr) {
+    const cell = this.calendarBody.querySelector(`td[data-date="${dateStr}"]`);
+    if (!cell) return;
+    
+    // Remove existing indicators
+    const indicators = cell.querySelectorAll('.event-indicator');
+    indicators.forEach(i => i.remove());
+    
+    // Re-add event indicators
+    const dayEvents = this.getEventsForDate(dateStr);
+    if (dayEvents.length > 0) {
+      const isRowStart = !cell.previousElementSibling?.dataset.date;
+      this.addEventIndicators(cell, dayEvents, isRowStart);
+    } else {
+      cell.classList.remove('has-event');
+    }
+  }
+
+  // Update every cell an event covers
+  updateEventCells(event) {
+    // Only the month grid is updated cell by cell
+    if (this.view !== 'month') {
+      this.renderView();
+      return;
+    }
+    
+    const endDate = this.getEventEndDate(event);
+    const day = new Date(`${event.date}T00:00:00Z`);
+    for (let dateStr = event.date; dateStr <= endDate; dateStr = day.toISOString().split('T')[0]) {
+      this.updateCalendarCell(dateStr);
+      day.setUTCDate(day.getUTCDate() + 1);
+    }
+  }
+
+  // Optimized event list rendering
+  renderEventList() {
+    if (!this.elements.eventList) return;
+    
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
     
     const upcomingEvents = this.events
-      .filter(event => new Date(event.date) >= today)
+      .filter(event => new Date(this.getEventEndDate(event)) >= today)
       .sort((a, b) => new Date(a.date) - new Date(b.date))
       .slice(0, this.config.calendar.upcomingEventsLimit);
     
@@ -429,6 +1313,7 @@ class OptimizedCalendar {
   createEventListItem(event) {
     const item = document.createElement('div');
     item.className = 'event-item';
+    item.classList.toggle('pending', Boolean(event.pending));
     
     const eventType = this.config.eventTypes.find(t => t.value === event.type);
     const icon = eventType?.icon || '';
@@ -443,44 +1328,118 @@ class OptimizedCalendar {
     `;
     
     // Attach delete handler directly
-    item.querySelector('.delete-event').addEventListener('click', () => {
-      if (confirm('Delete this event?')) {
-        this.deleteEvent(event.id);
+    item.querySelector('.delete-event').addEventListener('click', async () => {
+      if (confirm('Delete this event?') && await this.deleteEvent(event.id)) {
+        this.offerRestore(event);
       }
     });
     
+    item.addEventListener('click', (e) => {
+      if (!e.target.closest('.delete-event')) this.showEditModal(event);
+    });
+    
     return item;
   }
 
   // Format event date for display
   formatEventDate(event) {
-    const date = new Date(event.date);
-    const dateStr = date.toLocaleDateString('en-US', {
+    const formatDate = value => new Date(value).toLocaleDateString('en-US', {
       weekday: 'short',
       month: 'short',
       day: 'numeric',
       year: 'numeric'
     });
-    return event.time ? `${dateStr} at ${event.time}` : dateStr;
+    const dateStr = formatDate(event.date);
+    const endDate = event.endDate && event.endDate !== event.date ? formatDate(event.endDate) : null;
+    
+    if (!event.time) {
+      return endDate ? `${dateStr} – ${endDate}` : dateStr;
+    }
+    if (!event.endTime) {
+      return `${dateStr} at ${event.time}`;
+    }
+    return endDate
+      ? `${dateStr} at ${event.time} – ${endDate} at ${event.endTime}`
+      : `${dateStr} at ${event.time} – ${event.endTime}`;
+  }
+
+  // Drop cached months an event appears in
+  invalidateEventCache(event) {
+    const [year, month] = event.date.split('-').map(Number);
+    const [endYear, endMonth] = (event.endDate || event.date).split('-').map(Number);
+    for (let y = year, m = month - 1; y < endYear || (y === endYear && m <= endMonth - 1); m++) {
+      if (m > 11) {
+        m = 0;
+        y++;
+      }
+      this.eventCache.delete(`${y}-${m}`);
+    }
   }
 
   // Helper methods
-  getDaysInMonth(month, year) {
-    return new Date(year, month + 1, 0).getDate();
+  // calendar.weekStartsOn as a Date#getDay index; takes a day name or number
+  getFirstDayOfWeek() {
+    const setting = this.config.calendar.weekStartsOn;
+    if (Number.isInteger(setting) && setting >= 0 && setting < 7) return setting;
+    const index = WEEKDAY_NAMES.indexOf(String(setting).toLowerCase());
+    return index === -1 ? 0 : index;
+  }
+
+  getWeekStart(date) {
+    return this.addDays(date, -((date.getDay() - this.getFirstDayOfWeek() + 7) % 7));
+  }
+
+  // ISO week number of the seven days from weekStart, taken from their Monday
+  getWeekNumber(weekStart) {
+    return this.getISOWeek(this.addDays(weekStart, (8 - weekStart.getDay()) % 7));
+  }
+
+  // ISO 8601 week number: weeks start on Monday and week 1 holds January 4th
+  getISOWeek(date) {
+    const thursday = this.addDays(date, 3 - (date.getDay() + 6) % 7);
+    const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+    return 1 + Math.round((thursday - this.addDays(firstThursday, 3 - (firstThursday.getDay() + 6) % 7)) / (7 * 86400000));
   }
 
-  getFirstDayOfMonth(month, year) {
-    return new Date(year, month, 1).getDay();
+  addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
+
+  // Local YYYY-MM-DD (toISOString would shift to UTC)
+  toDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  fromDateString(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  shiftDate(dateStr, days) {
+    return this.toDateString(this.addDays(this.fromDateString(dateStr), days));
+  }
+
+  daysBetween(fromStr, toStr) {
+    return Math.round((this.fromDateString(toStr) - this.fromDateString(fromStr)) / 86400000);
+  }
+
+  formatShortDate(dateStr) {
+    const date = this.fromDateString(dateStr);
+    return `${this.config.locale.dayNames[date.getDay()]} ${date.getDate()} ${this.config.locale.monthNames[date.getMonth()]}`;
+  }
+
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
   }
 
   goToToday() {
     const today = new Date();
-    this.currentMonth = today.getMonth();
-    this.currentYear = today.getFullYear();
-    this.loadEventsForMonth().then(events => {
+    this.setFocusDate(new Date(today.getFullYear(), today.getMonth(), today.getDate()));
+    this.loadEventsForView().then(events => {
       this.events = events;
       requestAnimationFrame(() => {
-        this.renderCalendar();
+        this.renderView();
         this.renderEventList();
       });
     });
@@ -498,11 +1457,166 @@ class OptimizedCalendar {
   hideModal() {
     this.elements.eventModal.classList.remove('show');
     this.elements.eventForm.reset();
+    this.editingEvent = null;
+    this.setModalMode();
+    this.showConflicts([]);
+  }
+
+  // Open an event from a clicked element; false when there's nothing to open
+  openEventElement(element) {
+    const event = element && this.findEventForElement(element);
+    if (!event) return false;
+    
+    this.showEditModal(event);
+    return true;
+  }
+
+  showEditModal(event) {
+    this.editingEvent = event;
+    this.fillForm(event);
+    this.setModalMode();
+    this.showConflicts([]);
+    this.showModal();
+  }
+
+  // Heading, submit label and extra actions for adding or editing
+  setModalMode() {
+    const event = this.editingEvent;
+    const { modalTitle, modalActions, submitButton } = this.elements;
+    
+    if (!event) {
+      modalTitle.textContent = 'Add New Event';
+    } else {
+      modalTitle.textContent = event.originalDate ? 'Edit Occurrence' : 'Edit Event';
+    }
+    modalActions.hidden = !event;
+    submitButton.textContent = this.getSubmitLabel();
+  }
+
+  getSubmitLabel() {
+    return this.editingEvent ? 'Save Changes' : 'Add Event';
+  }
+
+  // Pre-fill the form with an event's fields
+  fillForm(event) {
+    document.getElementById('eventTitle').value = event.title || '';
+    document.getElementById('eventDate').value = event.date;
+    document.getElementById('eventAllDay').checked = !event.time;
+    document.getElementById('eventTime').value = event.time || '';
+    document.getElementById('eventEndDate').value = event.endDate || '';
+    document.getElementById('eventEndTime').value = event.endTime || '';
+    document.getElementById('eventType').value = event.type;
+    document.getElementById('eventDescription').value = event.description || '';
+  }
+
+  // Keep the form's details but save them as a new event
+  duplicateEvent() {
+    this.editingEvent = null;
+    this.setModalMode();
+    this.checkConflicts(this.getFormEventData());
+  }
+
+  async deleteFromModal() {
+    const event = this.editingEvent;
+    if (!event || !confirm(event.originalDate ? 'Delete this occurrence?' : 'Delete this event?')) return;
+    
+    this.hideModal();
+    if (event.originalDate) {
+      await this.cancelOccurrence(event);
+    } else if (await this.deleteEvent(event.id)) {
+      this.offerRestore(event);
+    }
+  }
+
+  // Deleted events go to the server's trash, so a delete can be undone
+  offerRestore(event) {
+    this.setUndo(`Deleted "${event.title}"`, () => this.restoreFromTrash(event.id));
+  }
+
+  async restoreFromTrash(eventId) {
+    try {
+      const data = await this.requestJson('POST', `/api/trash/${eventId}/restore`);
+      if (!data.success) throw new Error(data.error);
+      
+      this.invalidateEventCache(data.event);
+      await this.refreshEvents();
+    } catch (error) {
+      console.error('Error restoring event:', error);
+      alert('Failed to restore event');
+    }
+  }
+
+  // Ask the server which events overlap the one being entered
+  async checkConflicts(eventData) {
+    if (!eventData.date) return [];
+    
+    try {
+      // The title may not be filled in yet and doesn't affect conflicts.
+      // An event being edited can't conflict with itself.
+      const query = this.editingEvent ? `?excludeId=${encodeURIComponent(this.editingEvent.id)}` : '';
+      const response = await fetch(`/api/events/conflicts${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...eventData, title: eventData.title || 'Untitled' })
+      });
+      const data = await response.json();
+      const conflicts = data.success ? data.conflicts : [];
+      this.showConflicts(conflicts);
+      return conflicts;
+    } catch (error) {
+      console.error('Error checking conflicts:', error);
+      return [];
+    }
+  }
+
+  // Show overlapping events in the modal; saving then needs a second click
+  showConflicts(conflicts) {
+    const { eventConflicts, submitButton } = this.elements;
+    
+    if (conflicts.length === 0) {
+      eventConflicts.hidden = true;
+      eventConflicts.innerHTML = '';
+      submitButton.textContent = this.getSubmitLabel();
+      this.conflictsConfirmed = false;
+      return;
+    }
+    
+    const list = document.createElement('ul');
+    conflicts.forEach(conflict => {
+      const item = document.createElement('li');
+      const start = conflict.start.slice(11, 16);
+      const end = conflict.end.slice(11, 16);
+      item.textContent = `${conflict.title} (${conflict.date}, ${start}–${end})`;
+      list.appendChild(item);
+    });
+    
+    eventConflicts.textContent = 'Overlaps with:';
+    eventConflicts.appendChild(list);
+    eventConflicts.hidden = false;
+    submitButton.textContent = 'Save Anyway';
+    this.conflictsConfirmed = true;
   }
 
   async handleFormSubmit(e) {
     e.preventDefault();
     
+    const eventData = this.getFormEventData();
+    
+    // Show conflicts first; once they are on screen, submitting saves anyway
+    if (!this.conflictsConfirmed) {
+      const conflicts = await this.checkConflicts(eventData);
+      if (conflicts.length > 0) return;
+    }
+    
+    if (this.editingEvent) {
+      await this.updateEvent(this.editingEvent, this.getEventChanges(this.editingEvent, eventData));
+    } else {
+      await this.addEvent(eventData);
+    }
+  }
+
+  // Read the event form into API event fields
+  getFormEventData() {
     const eventData = {
       title: document.getElementById('eventTitle').value,
       date: document.getElementById('eventDate').value,
@@ -511,9 +1625,22 @@ class OptimizedCalendar {
       description: document.getElementById('eventDescription').value
     };
     
-    await this.addEvent(eventData);
+    const endDate = document.getElementById('eventEndDate').value;
+    const endTime = document.getElementById('eventEndTime').value;
+    if (endDate && endDate !== eventData.date) eventData.endDate = endDate;
+    
+    // The API rejects empty times, so leave the fields out instead
+    if (document.getElementById('eventAllDay').checked || !eventData.time) {
+      delete eventData.time;
+      eventData.allDay = true;
+    } else if (endTime) {
+      eventData.endTime = endTime;
+    }
+    
+    return eventData;
   }
 
+  // Resolves true once the server has moved the event to its trash
   async deleteEvent(eventId) {
     // Optimistic deletion
     const event = this.events.find(e => e.id === eventId);
@@ -521,41 +1648,510 @@ class OptimizedCalendar {
     
     // Update UI immediately
     if (event) {
-      this.updateCalendarCell(event.date);
+      this.updateEventCells(event);
     }
     this.renderEventList();
     
     try {
       const response = await fetch(`/api/events/${eventId}`, {
-        method: 'DELETE'
+        method: 'DELETE',
+        headers: this.ifMatch(event)
       });
       
       const data = await response.json();
       
-      if (!data.success) {
+      if (response.status === 412) {
+        await this.reloadChangedEvent(event);
+      } else if (!data.success) {
         // Rollback on failure
         if (event) {
           this.events.push(event);
-          this.updateCalendarCell(event.date);
+          this.updateEventCells(event);
           this.renderEventList();
         }
         alert('Failed to delete event');
       } else {
         // Clear cache
-        const cacheKey = `${this.currentYear}-${this.currentMonth}`;
-        this.eventCache.delete(cacheKey);
+        this.invalidateEventCache(event || { date: this.toDateString(this.focusDate) });
+        return true;
       }
     } catch (error) {
+      // Offline: send the deletion once we're back
+      if (this.isOfflineError(error) && await this.queueChange({
+        op: 'delete',
+        id: eventId,
+        title: event?.title,
+        base: event && this.getVersion(event)
+      })) {
+        return;
+      }
+      
       console.error('Error deleting event:', error);
       // Rollback
       if (event) {
         this.events.push(event);
-        this.updateCalendarCell(event.date);
+        this.updateEventCells(event);
         this.renderEventList();
       }
     }
   }
 
+  // Optimistically remove one occurrence of a repeating event
+  async cancelOccurrence(occurrence) {
+    this.events = this.events.filter(e => e !== occurrence);
+    this.updateEventCells(occurrence);
+    this.renderEventList();
+    
+    const rollback = () => {
+      this.events.push(occurrence);
+      this.updateEventCells(occurrence);
+      this.renderEventList();
+    };
+    
+    try {
+      const response = await fetch(
+        `/api/events/${encodeURIComponent(occurrence.id)}/occurrences/${occurrence.originalDate}`,
+        { method: 'DELETE', headers: this.ifMatch(occurrence) }
+      );
+      
+      const data = await response.json();
+      
+      if (data.success) {
+        this.invalidateEventCache(occurrence);
+      } else if (response.status === 412) {
+        await this.reloadChangedEvent(occurrence);
+      } else {
+        rollback();
+        alert(`Failed to delete occurrence: ${data.error}`);
+      }
+    } catch (error) {
+      // Offline: send the cancellation once we're back
+      if (this.isOfflineError(error) && await this.queueChange({
+        op: 'cancel-occurrence',
+        id: occurrence.id,
+        originalDate: occurrence.originalDate,
+        title: occurrence.title,
+        base: this.getVersion(occurrence)
+      })) {
+        return;
+      }
+      
+      console.error('Error deleting occurrence:', error);
+      rollback();
+    }
+  }
+
+  // fetch rejects (rather than resolving with an error status) when the
+  // server can't be reached
+  isOfflineError(error) {
+    return !navigator.onLine || error instanceof TypeError;
+  }
+
+  // Makes a write fail with 412 if the event has changed since it was loaded
+  ifMatch(event) {
+    return event && event.version ? { 'If-Match': `"${event.version}"` } : {};
+  }
+
+  // Someone else saved the event first: drop our copy and show theirs
+  async reloadChangedEvent(event) {
+    alert(`"${event.title}" was changed by someone else, so your change wasn't saved. ` +
+      'Their version is shown now; make your change again if it still applies.');
+    this.eventCache.clear();
+    await this.refreshEvents();
+  }
+
+  // What a change made offline was based on, to notice edits made meanwhile
+  getVersion(event) {
+    return event.updatedAt || event.createdAt || null;
+  }
+
+  // Queue a change for later; false if it can't be stored either
+  async queueChange(entry) {
+    try {
+      await this.offlineStore.enqueue(entry);
+    } catch (error) {
+      console.error('Error queueing offline change:', error);
+      return false;
+    }
+    
+    this.updateSyncStatus();
+    return true;
+  }
+
+  async requestJson(method, url, body, headers = {}) {
+    const response = await fetch(url, {
+      method,
+      headers: { ...(body && { 'Content-Type': 'application/json' }), ...headers },
+      ...(body && { body: JSON.stringify(body) })
+    });
+    return response.json();
+  }
+
+  // Replay queued offline changes in order. A network failure stops the
+  // sync (the rest stay queued); changes the server refuses are reported
+  // and dropped.
+  async syncOutbox() {
+    if (this.syncing || !navigator.onLine) return;
+    this.syncing = true;
+    
+    // Events created offline get their real ids as they are sent
+    const idMap = new Map();
+    let synced = 0;
+    
+    try {
+      for (const entry of await this.getOutbox()) {
+        try {
+          await this.replayChange(entry, idMap);
+        } catch (error) {
+          console.error('Sync stopped:', error);
+          break;
+        }
+        await this.offlineStore.dequeue(entry.seq);
+        synced++;
+      }
+    } finally {
+      this.syncing = false;
+    }
+    
+    if (synced > 0) {
+      this.eventCache.clear();
+      await this.refreshEvents();
+    }
+    this.updateSyncStatus();
+  }
+
+  async replayChange(entry, idMap) {
+    if (entry.op === 'create') {
+      const data = await this.requestJson('POST', '/api/events?conflicts=ignore', entry.data);
+      if (data.success) {
+        idMap.set(entry.id, data.event.id);
+      } else {
+        alert(`"${entry.title}" couldn't be saved: ${data.error}`);
+      }
+      return;
+    }
+    
+    // Changes to an event whose creation failed have nothing to apply to
+    const isLocal = String(entry.id).startsWith('temp-');
+    if (isLocal && !idMap.has(entry.id)) return;
+    
+    const id = encodeURIComponent(idMap.get(entry.id) || entry.id);
+    
+    // Someone else may have changed or deleted the event in the meantime.
+    // Writes are conditional on the version checked here (or the one the
+    // user chose to overwrite).
+    let ifMatch = {};
+    if (!isLocal) {
+      const current = await this.requestJson('GET', `/api/events/${id}`);
+      if (!current.success) {
+        if (entry.op !== 'delete') {
+          alert(`"${entry.title}" was deleted while you were offline, so your changes to it were discarded.`);
+        }
+        return;
+      }
+      
+      if (this.getVersion(current.event) !== entry.base) {
+        const action = entry.op === 'update' ? 'save your changes' : 'delete it';
+        const keepMine = confirm(`"${current.event.title}" was changed by someone else while you were offline.\n\n` +
+          `OK to ${action} anyway, Cancel to keep their version.`);
+        if (!keepMine) return;
+      }
+      ifMatch = this.ifMatch(current.event);
+    }
+    
+    let data;
+    if (entry.op === 'update') {
+      data = entry.originalDate
+        ? await this.requestJson('PUT', `/api/events/${id}/occurrences/${entry.originalDate}`, entry.changes, ifMatch)
+        : await this.requestJson('PUT', `/api/events/${id}?conflicts=ignore`, entry.changes, ifMatch);
+    } else if (entry.op === 'delete') {
+      data = await this.requestJson('DELETE', `/api/events/${id}`, undefined, ifMatch);
+    } else {
+      data = await this.requestJson('DELETE', `/api/events/${id}/occurrences/${entry.originalDate}`, undefined, ifMatch);
+    }
+    
+    if (!data.success) {
+      alert(`Your offline change to "${entry.title}" couldn't be applied: ${data.error}`);
+    }
+  }
+
+  // Banner saying we're offline and/or how many changes are waiting
+  async updateSyncStatus() {
+    const { syncStatus } = this.elements;
+    const pending = (await this.getOutbox()).length;
+    const changes = `${pending} change${pending === 1 ? '' : 's'}`;
+    
+    if (!navigator.onLine) {
+      syncStatus.textContent = pending > 0
+        ? `Offline – ${changes} will sync when you're back online`
+        : 'Offline – showing saved events';
+    } else if (pending > 0) {
+      syncStatus.textContent = `Syncing ${changes}…`;
+    } else {
+      syncStatus.hidden = true;
+      return;
+    }
+    syncStatus.hidden = false;
+  }
+
+  // Subscribe to changes from the server, reconnecting with backoff
+  connectStream() {
+    const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${location.host}/api/events/stream`);
+    this.socket = socket;
+    
+    socket.addEventListener('open', () => {
+      // Anything could have changed while we were disconnected
+      if (this.reconnectAttempts > 0) {
+        this.eventCache.clear();
+        this.refreshEvents();
+        this.syncOutbox();
+      }
+      this.reconnectAttempts = 0;
+    });
+    
+    socket.addEventListener('message', (e) => {
+      try {
+        this.handleStreamMessage(JSON.parse(e.data));
+      } catch (error) {
+        console.error('Error handling stream message:', error);
+      }
+    });
+    
+    socket.addEventListener('close', () => {
+      if (this.socket === socket) this.scheduleReconnect();
+    });
+  }
+
+  scheduleReconnect() {
+    // Jitter keeps several open tabs from reconnecting in lockstep
+    const delay = Math.min(STREAM_RETRY_MAX_MS, STREAM_RETRY_BASE_MS * 2 ** this.reconnectAttempts);
+    this.reconnectAttempts++;
+    
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.connectStream(), delay * (0.5 + Math.random() / 2));
+  }
+
+  handleStreamMessage(message) {
+    switch (message.type) {
+      case 'event-added':
+      case 'event-updated':
+        this.applyRemoteEvent(message.data);
+        break;
+      case 'event-deleted':
+        this.removeRemoteEvent(message.data.id);
+        break;
+      case 'reminders-due':
+        this.showReminders(message.data);
+        break;
+    }
+  }
+
+  // Merge an added or updated event into local state and redraw its cells
+  applyRemoteEvent(event) {
+    // Repeating events are expanded by the server, so fetch them again
+    if (event.recurrence || this.events.some(e => e.id === event.id && e.originalDate)) {
+      this.eventCache.clear();
+      this.refreshEvents();
+      return;
+    }
+    
+    this.mergeIntoCache(event.id, event);
+    
+    const index = this.events.findIndex(e => e.id === event.id);
+    const previous = index === -1 ? null : this.events[index];
+    const { start, end } = this.getViewRange();
+    const inView = event.date <= this.toDateString(end) &&
+      (event.endDate || event.date) >= this.toDateString(start);
+    
+    if (previous) {
+      this.events.splice(index, 1);
+      this.updateEventCells(previous);
+    }
+    if (inView) {
+      this.events.push(event);
+      this.updateEventCells(event);
+    }
+    if (previous || inView) {
+      this.renderEventList();
+    }
+  }
+
+  removeRemoteEvent(eventId) {
+    this.mergeIntoCache(eventId, null);
+    
+    const removed = this.events.filter(e => e.id === eventId);
+    if (removed.length === 0) return;
+    
+    this.events = this.events.filter(e => e.id !== eventId);
+    removed.forEach(event => this.updateEventCells(event));
+    this.renderEventList();
+  }
+
+  // Replace an event in every cached month, adding it where it now appears
+  mergeIntoCache(eventId, event) {
+    this.eventCache.forEach((events, key) => {
+      const [year, month] = key.split('-').map(Number);
+      const first = this.toDateString(new Date(year, month, 1));
+      const last = this.toDateString(new Date(year, month + 1, 0));
+      
+      const merged = events.filter(e => e.id !== eventId);
+      if (event && event.date <= last && (event.endDate || event.date) >= first) {
+        merged.push(event);
+      }
+      this.eventCache.set(key, merged);
+    });
+  }
+
+  // In-page toasts for push reminders. The server sends each reminder once;
+  // the key also covers the same reminder arriving on two open connections.
+  showReminders(events) {
+    events.forEach(event => {
+      const key = `${event.id}:${event.date}:${event.time}:${event.offset}`;
+      if (this.shownReminders.has(key)) return;
+      this.shownReminders.add(key);
+      
+      const toast = document.createElement('div');
+      toast.className = 'toast';
+      toast.setAttribute('role', 'status');
+      
+      const eventType = this.config.eventTypes.find(t => t.value === event.type);
+      if (eventType) toast.style.borderLeftColor = eventType.color;
+      
+      const text = document.createElement('span');
+      const when = event.minutesUntil > 0 ? `in ${this.formatMinutes(event.minutesUntil)}` : 'now';
+      text.textContent = `⏰ ${event.title} – ${when} (${event.time || 'all day'})`;
+      
+      const close = document.createElement('button');
+      close.className = 'toast-close';
+      close.setAttribute('aria-label', 'Dismiss');
+      close.textContent = '×';
+      close.addEventListener('click', () => toast.remove());
+      
+      toast.append(text, close);
+      this.elements.toastContainer.appendChild(toast);
+      setTimeout(() => toast.remove(), REMINDER_TOAST_MS);
+    });
+  }
+
+  // Web Push lets push reminders reach this device with the calendar closed.
+  // An existing subscription is sent to the server again on every load, in
+  // case the server dropped it or its keys changed.
+  async setupPush() {
+    if (!('serviceWorker' in navigator) || !('PushManager' in window) || !('Notification' in window)) return;
+    
+    const button = document.getElementById('pushBtn');
+    button.addEventListener('click', () => this.togglePush());
+    
+    try {
+      this.pushRegistration = await navigator.serviceWorker.ready;
+      let subscription = await this.pushRegistration.pushManager.getSubscription();
+      if (subscription && Notification.permission === 'granted') {
+        const { publicKey } = await this.requestJson('GET', '/api/push/public-key');
+        if (!this.usesServerKey(subscription, publicKey)) {
+          await subscription.unsubscribe();
+          subscription = await this.subscribePush(publicKey);
+        }
+        await this.savePushSubscription(subscription);
+      }
+      this.updatePushButton(Boolean(subscription));
+    } catch (error) {
+      console.error('Push setup failed:', error);
+      this.updatePushButton(false);
+    }
+    button.hidden = false;
+  }
+
+  updatePushButton(subscribed) {
+    const button = document.getElementById('pushBtn');
+    button.setAttribute('aria-pressed', String(subscribed));
+    button.textContent = subscribed ? '🔔 Notifications on' : '🔕 Notify this device';
+  }
+
+  async togglePush() {
+    const subscription = await this.pushRegistration.pushManager.getSubscription();
+    try {
+      if (subscription) {
+        await this.disablePush(subscription);
+      } else {
+        await this.enablePush();
+      }
+    } catch (error) {
+      alert(`Couldn't change notifications: ${error.message}`);
+    }
+  }
+
+  async enablePush() {
+    if (await Notification.requestPermission() !== 'granted') {
+      alert('Notifications are blocked for this site. Allow them in your browser settings to get reminders.');
+      return;
+    }
+    const { publicKey } = await this.requestJson('GET', '/api/push/public-key');
+    const subscription = await this.subscribePush(publicKey);
+    await this.savePushSubscription(subscription, this.getDeviceName());
+    this.updatePushButton(true);
+  }
+
+  async disablePush(subscription) {
+    const id = localStorage.getItem(PUSH_SUBSCRIPTION_KEY);
+    if (id) {
+      await this.requestJson('DELETE', `/api/push/subscriptions/${id}`, { endpoint: subscription.endpoint });
+      localStorage.removeItem(PUSH_SUBSCRIPTION_KEY);
+    }
+    await subscription.unsubscribe();
+    this.updatePushButton(false);
+  }
+
+  subscribePush(publicKey) {
+    return this.pushRegistration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: this.decodeBase64Url(publicKey)
+    });
+  }
+
+  // The device name is only sent on first subscribe, so a rename made
+  // through the API sticks
+  async savePushSubscription(subscription, deviceName) {
+    const data = await this.requestJson('POST', '/api/push/subscriptions', {
+      subscription: subscription.toJSON(),
+      ...(deviceName && { deviceName })
+    });
+    if (!data.success) throw new Error(data.error);
+    localStorage.setItem(PUSH_SUBSCRIPTION_KEY, data.subscription.id);
+  }
+
+  usesServerKey(subscription, publicKey) {
+    const key = subscription.options.applicationServerKey;
+    if (!key) return false;
+    const expected = this.decodeBase64Url(publicKey);
+    const actual = new Uint8Array(key);
+    return actual.length === expected.length && actual.every((byte, i) => byte === expected[i]);
+  }
+
+  decodeBase64Url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  }
+
+  // "Firefox on Linux" and the like, to tell devices apart
+  getDeviceName() {
+    const agent = navigator.userAgent;
+    const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => agent.includes(`${name}/`)) || 'Browser';
+    const platform = (navigator.userAgentData && navigator.userAgentData.platform) ||
+      ['Android', 'iPhone', 'iPad', 'Windows', 'Mac', 'Linux'].find(name => agent.includes(name)) || 'unknown device';
+    return `${browser === 'Edg' ? 'Edge' : browser} on ${platform}`;
+  }
+
+  // "45 min", "3 h 20 min" or "2 d" for reminder toasts
+  formatMinutes(minutes) {
+    if (minutes >= 1440) return `${Math.round(minutes / 1440)} d`;
+    if (minutes >= 60) {
+      const rest = minutes % 60;
+      return `${Math.floor(minutes / 60)} h${rest > 0 ? ` ${rest} min` : ''}`;
+    }
+    return `${minutes} min`;
+  }
+
   // Apply theme colors
   applyTheme() {
     const root = document.documentElement;
@@ -593,6 +2189,9 @@ class OptimizedCalendar {
         { value: 'personal', label: 'Personal', color: '#b16286', icon: '👤' }
       ],
       calendar: {
+        weekStartsOn: 'sunday',
+        defaultView: 'month',
+        showWeekNumbers: false,
         maxEventsPerDay: 3,
         upcomingEventsLimit: 10,
         highlightToday: true,
@@ -612,4 +2211,11 @@ class OptimizedCalendar {
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
   new OptimizedCalendar();
+  
+  // Installable, offline-capable app (browsers require HTTPS or localhost)
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/service-worker.js').catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+  }
 });
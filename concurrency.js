@@ -0,0 +1,46 @@
+// Optimistic concurrency for events
+//
+// Every saved event carries a version that goes up by one on each change;
+// its ETag is the quoted version. Clients send the ETag back in If-Match and
+// a write is refused (412) when the event has changed since they read it.
+// Event lists are tagged with the calendar's sync revision, which changes
+// whenever any event does, the config load time (the time zone and event
+// types shape list results too) and the query and page they answer.
+
+class PreconditionFailedError extends Error {
+  constructor(current) {
+    super('Event has been changed since it was read');
+    this.name = 'PreconditionFailedError';
+    this.current = current;
+  }
+}
+
+function eventETag(event) {
+  return `"${event.version || 1}"`;
+}
+
+function listETag(revision, configStamp, queryKey) {
+  return `W/"r${revision}-${configStamp}-${queryKey}"`;
+}
+
+// If-Match header value for a version (as sent in batch operations)
+function versionToIfMatch(version) {
+  return version === undefined || version === null ? undefined : `"${version}"`;
+}
+
+// Whether an If-Match header allows writing to an event. Weak tags never
+// match, since If-Match uses strong comparison.
+function ifMatchAllows(ifMatch, event) {
+  if (!ifMatch) return true;
+  if (!event) return false;
+  const tags = ifMatch.split(',').map(tag => tag.trim());
+  return tags.includes('*') || tags.includes(eventETag(event));
+}
+
+module.exports = {
+  PreconditionFailedError,
+  eventETag,
+  listETag,
+  versionToIfMatch,
+  ifMatchAllows
+};
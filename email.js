@@ -0,0 +1,91 @@
+// Reminder emails
+//
+// Reminders on the email channel are sent over SMTP (smtp.js) to the
+// addresses in config.json "email.to", as plain text and HTML with the event
+// attached as an .ics file. A failed send is retried with a doubling delay
+// while the server reports a temporary error; each recipient gets at most
+// dailyLimitPerRecipient emails per day (home time), the rest are skipped.
+
+const EMAIL_DEFAULTS = {
+  enabled: false,
+  from: 'Calendar <calendar@localhost>',
+  to: [],
+  dailyLimitPerRecipient: 50,
+  maxAttempts: 3,
+  retryDelayMs: 30000,
+  smtp: {}
+};
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+// "2024-01-15 14:00–15:00 (Europe/Istanbul)" or "2024-01-15 – 2024-01-17 (all day)"
+function describeWhen(event, homeZone) {
+  const endDate = event.endDate && event.endDate !== event.date ? event.endDate : null;
+  if (!event.time) {
+    return `${event.date}${endDate ? ` – ${endDate}` : ''} (all day)`;
+  }
+  const end = event.endTime ? `${endDate ? ` – ${endDate} ` : '–'}${event.endTime}` : '';
+  return `${event.date} ${event.time}${end} (${event.timeZone || homeZone})`;
+}
+
+// "1h" -> "1 hour"
+function describeOffset(offset) {
+  const units = { m: 'minute', h: 'hour', d: 'day', w: 'week' };
+  const count = Number(offset.slice(0, -1));
+  const unit = units[offset.slice(-1)];
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+// Subject, bodies and .ics attachment for a reminder
+function composeReminderEmail(reminder, { ical, homeZone }) {
+  const when = describeWhen(reminder, homeZone);
+  const details = [
+    ['When', when],
+    ...(reminder.location ? [['Where', reminder.location]] : [])
+  ];
+  const footer = `This reminder was sent ${describeOffset(reminder.offset)} before the event.` +
+    ' Open the attached invite to add it to your calendar.';
+
+  const text = [
+    reminder.title,
+    '',
+    ...details.map(([label, value]) => `${label}: ${value}`),
+    ...(reminder.description ? ['', reminder.description] : []),
+    '',
+    footer,
+    ''
+  ].join('\n');
+
+  const html = [
+    '<!DOCTYPE html>',
+    '<html><body style="font-family: sans-serif">',
+    `<h2 dir="auto">${escapeHtml(reminder.title)}</h2>`,
+    '<table>',
+    ...details.map(([label, value]) =>
+      `<tr><th align="left">${label}</th><td dir="auto">${escapeHtml(value)}</td></tr>`),
+    '</table>',
+    ...(reminder.description
+      ? [`<p dir="auto">${escapeHtml(reminder.description).replace(/\n/g, '<br>')}</p>`]
+      : []),
+    `<p style="color: #666; font-size: small">${escapeHtml(footer)}</p>`,
+    '</body></html>',
+    ''
+  ].join('\n');
+
+  return {
+    subject: `Reminder: ${reminder.title} – ${when}`,
+    text,
+    html,
+    attachments: [{ filename: 'event.ics', contentType: 'text/calendar; method=PUBLISH; charset=utf-8', content: ical }]
+  };
+}
+
+module.exports = {
+  EMAIL_DEFAULTS,
+  describeWhen,
+  composeReminderEmail
+};
@@ -0,0 +1,242 @@
+// Event queries for GET /api/events (and the same operation in /api/batch)
+//
+// All filters combine: a date range (start/end, or month/year), types, tags,
+// hasTime, createdSince/updatedSince and a text search. Results are sorted
+// (sort=date,-title; "-" sorts descending) with the event id as the final
+// tie-breaker, so every event has a fixed place in the order.
+//
+// Pages are fetched with an opaque cursor naming the last event returned.
+// The next page starts after that event's sort key, so events added or
+// removed meanwhile don't shift or repeat results the way offsets do. A
+// cursor only works with the query that produced it.
+
+const crypto = require('crypto');
+const { isValidDate } = require('./recurrence');
+
+const QUERY_DEFAULTS = {
+  limit: 100,
+  maxLimit: 1000,
+  sort: 'date'
+};
+
+// Sort keys; all-day events (no time) sort before timed ones
+const SORT_FIELDS = {
+  date: event => [event.date, event.time || ''],
+  time: event => [event.time || '', event.date],
+  title: event => [(event.title || '').toLowerCase()],
+  createdAt: event => [event.createdAt || '']
+};
+
+// Query parameters may repeat (type=a&type=b) or hold a comma-separated list
+function listParam(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function parseTimestamp(value, field, errors) {
+  if (value === undefined || value === '') return null;
+  const time = Date.parse(value);
+  if (typeof value !== 'string' || Number.isNaN(time)) {
+    errors.push({ field, message: 'must be a date or an ISO 8601 timestamp' });
+    return null;
+  }
+  return time;
+}
+
+function parseSort(value, errors) {
+  const fields = listParam(value === undefined ? QUERY_DEFAULTS.sort : value);
+  const sort = [];
+  for (const item of fields) {
+    const descending = item.startsWith('-');
+    const field = descending ? item.slice(1) : item;
+    if (!SORT_FIELDS[field]) {
+      errors.push({ field: 'sort', message: `must list fields from: ${Object.keys(SORT_FIELDS).join(', ')}` });
+      return [];
+    }
+    if (!sort.some(entry => entry.field === field)) {
+      sort.push({ field, descending });
+    }
+  }
+  return sort;
+}
+
+function parseInteger(value, field, { min, max }, errors) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || (max !== undefined && number > max)) {
+    const range = max !== undefined ? `between ${min} and ${max}` : `at least ${min}`;
+    errors.push({ field, message: `must be a whole number ${range}` });
+    return null;
+  }
+  return number;
+}
+
+// Parse query parameters into { query, errors }. errors use the same
+// { field, message } shape as event validation.
+function parseEventQuery(params = {}) {
+  const errors = [];
+  const query = {
+    start: null,
+    end: null,
+    types: listParam(params.type),
+    tags: listParam(params.tag).map(tag => tag.toLowerCase()),
+    hasTime: null,
+    createdSince: parseTimestamp(params.createdSince, 'createdSince', errors),
+    updatedSince: parseTimestamp(params.updatedSince, 'updatedSince', errors),
+    search: typeof params.search === 'string' && params.search.trim() !== '' ? params.search.trim() : null,
+    sort: parseSort(params.sort, errors),
+    limit: QUERY_DEFAULTS.limit,
+    offset: 0,
+    after: null
+  };
+
+  const { start, end, month, year } = params;
+  if (start !== undefined || end !== undefined) {
+    if (!isValidDate(start) || !isValidDate(end)) {
+      errors.push({ field: 'start', message: 'and end must both be dates (YYYY-MM-DD)' });
+    } else if (end < start) {
+      errors.push({ field: 'end', message: 'must not be before start' });
+    } else {
+      query.start = start;
+      query.end = end;
+    }
+  } else if (month !== undefined || year !== undefined) {
+    const monthNumber = parseInteger(month, 'month', { min: 1, max: 12 }, errors);
+    const yearNumber = parseInteger(year, 'year', { min: 1, max: 9999 }, errors);
+    if (monthNumber && yearNumber) {
+      const prefix = `${String(yearNumber).padStart(4, '0')}-${String(monthNumber).padStart(2, '0')}`;
+      const lastDay = new Date(Date.UTC(yearNumber, monthNumber, 0)).getUTCDate();
+      query.start = `${prefix}-01`;
+      query.end = `${prefix}-${lastDay}`;
+    }
+  }
+
+  if (params.hasTime !== undefined) {
+    if (params.hasTime === 'true' || params.hasTime === true) {
+      query.hasTime = true;
+    } else if (params.hasTime === 'false' || params.hasTime === false) {
+      query.hasTime = false;
+    } else {
+      errors.push({ field: 'hasTime', message: 'must be true or false' });
+    }
+  }
+
+  if (params.limit !== undefined) {
+    query.limit = parseInteger(params.limit, 'limit', { min: 1, max: QUERY_DEFAULTS.maxLimit }, errors);
+  }
+
+  if (params.cursor !== undefined && params.offset !== undefined) {
+    errors.push({ field: 'cursor', message: 'cannot be combined with offset' });
+  } else if (params.offset !== undefined) {
+    query.offset = parseInteger(params.offset, 'offset', { min: 0 }, errors);
+  } else if (params.cursor !== undefined) {
+    query.after = decodeCursor(params.cursor, query, errors);
+  }
+
+  return { query, errors };
+}
+
+// Identifies what a query selects and in which order (not the page size), so
+// a cursor can't be replayed against a different query
+function queryFingerprint(query) {
+  const { limit, offset, after, ...selection } = query;
+  return crypto.createHash('sha256').update(JSON.stringify(selection)).digest('base64url').slice(0, 16);
+}
+
+// Identifies a whole request: the selection plus the page, for list ETags
+function queryPageKey(query) {
+  const page = [queryFingerprint(query), query.limit, query.offset, query.after];
+  return crypto.createHash('sha256').update(JSON.stringify(page)).digest('base64url').slice(0, 16);
+}
+
+function encodeCursor(query, key) {
+  return Buffer.from(JSON.stringify({ q: queryFingerprint(query), k: key })).toString('base64url');
+}
+
+function decodeCursor(cursor, query, errors) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    decoded = null;
+  }
+  if (!decoded || !Array.isArray(decoded.k)) {
+    errors.push({ field: 'cursor', message: 'is not valid' });
+    return null;
+  }
+  // The sort is parsed before the cursor, so the fingerprint is complete here
+  if (decoded.q !== queryFingerprint(query)) {
+    errors.push({ field: 'cursor', message: 'belongs to a different query' });
+    return null;
+  }
+  return decoded.k;
+}
+
+function matchesFilters(event, query) {
+  if (query.types.length > 0 && !query.types.includes(event.type)) return false;
+  if (query.tags.length > 0) {
+    const tags = (event.tags || []).map(tag => tag.toLowerCase());
+    if (!query.tags.some(tag => tags.includes(tag))) return false;
+  }
+  if (query.hasTime !== null && Boolean(event.time) !== query.hasTime) return false;
+  if (query.createdSince !== null && !(Date.parse(event.createdAt) >= query.createdSince)) return false;
+  if (query.updatedSince !== null &&
+      !(Date.parse(event.updatedAt || event.createdAt) >= query.updatedSince)) return false;
+  return true;
+}
+
+// Sort key of an event: the sort fields, then id and occurrence date
+function sortKey(event, sort) {
+  return [
+    ...sort.flatMap(({ field }) => SORT_FIELDS[field](event)),
+    String(event.id),
+    event.originalDate || ''
+  ];
+}
+
+function compareKeys(a, b, sort) {
+  // Each sort field contributes one or more key parts sharing its direction
+  const directions = [
+    ...sort.flatMap(({ field, descending }) =>
+      SORT_FIELDS[field]({}).map(() => (descending ? -1 : 1))),
+    1,
+    1
+  ];
+  for (let i = 0; i < directions.length; i++) {
+    if (a[i] < b[i]) return -directions[i];
+    if (a[i] > b[i]) return directions[i];
+  }
+  return 0;
+}
+
+// Filter, sort and page candidate events (already narrowed to the date range
+// and search matches). Returns { events, total, hasMore, nextCursor }.
+function runEventQuery(candidates, query) {
+  const matches = candidates
+    .filter(event => matchesFilters(event, query))
+    .map(event => ({ event, key: sortKey(event, query.sort) }))
+    .sort((a, b) => compareKeys(a.key, b.key, query.sort));
+
+  const remaining = query.after
+    ? matches.filter(({ key }) => compareKeys(key, query.after, query.sort) > 0)
+    : matches.slice(query.offset);
+  const page = remaining.slice(0, query.limit);
+  const hasMore = remaining.length > page.length;
+
+  return {
+    events: page.map(({ event }) => event),
+    total: matches.length,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(query, page[page.length - 1].key) : null
+  };
+}
+
+module.exports = {
+  QUERY_DEFAULTS,
+  SORT_FIELDS,
+  parseEventQuery,
+  queryPageKey,
+  runEventQuery
+};
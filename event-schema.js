@@ -0,0 +1,376 @@
+// Declarative schema for calendar events
+//
+// Every field a client may write is listed in EVENT_SCHEMA; anything else
+// (id, createdAt, updatedAt, ...) is rejected. validateEvent returns the
+// cleaned event together with a list of per-field errors:
+//   { value: { ... }, errors: [{ field: 'date', message: '...' }] }
+//
+// Events without a time are all-day events; allDay mirrors that on every
+// validated event. A duration is accepted instead of endDate/endTime and is
+// stored as the end it works out to. endDate is the last day (inclusive).
+
+const { isValidDate, normalizeRecurrence } = require('./recurrence');
+const { isValidTimeZone } = require('./timezone');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DURATION_PATTERN = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+const DAY_MINUTES = 1440;
+
+// Longest span a single event may cover
+const MAX_SPAN_DAYS = 366;
+const NOTIFICATION_CHANNELS = ['push', 'email', 'sms'];
+const NOTIFICATION_OFFSET_PATTERN = /^\d+[mhdw]$/;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+// Fields that a single occurrence of a recurring event may override
+const OVERRIDE_FIELDS = [
+  'title', 'date', 'time', 'endDate', 'endTime', 'type', 'description', 'location'
+];
+
+const EVENT_SCHEMA = {
+  title: { type: 'string', required: true, maxLength: 200 },
+  date: { type: 'date', required: true },
+  time: { type: 'time' },
+  endDate: { type: 'date' },
+  endTime: { type: 'time' },
+  duration: { type: 'duration' },
+  allDay: { type: 'boolean' },
+  timeZone: { type: 'timeZone' },
+  type: { type: 'eventType', required: true },
+  description: { type: 'string', maxLength: 5000 },
+  location: { type: 'string', maxLength: 500 },
+  tags: { type: 'tags' },
+  recurrence: { type: 'recurrence' },
+  exdates: { type: 'dateList' },
+  overrides: { type: 'overrides' },
+  notifications: { type: 'notifications' }
+};
+
+const WRITABLE_FIELDS = Object.keys(EVENT_SCHEMA);
+
+// Check a single value against a field type.
+// Returns { value } with the normalized value, or { error }.
+function checkField(spec, value, options) {
+  switch (spec.type) {
+    case 'string': {
+      if (typeof value !== 'string') return { error: 'must be a string' };
+      const trimmed = value.trim();
+      if (spec.required && trimmed === '') return { error: 'must not be empty' };
+      if (spec.maxLength && trimmed.length > spec.maxLength) {
+        return { error: `must be at most ${spec.maxLength} characters` };
+      }
+      return { value: trimmed };
+    }
+    case 'date':
+      return isValidDate(value) ? { value } : { error: 'must be a date (YYYY-MM-DD)' };
+    case 'time':
+      return typeof value === 'string' && TIME_PATTERN.test(value)
+        ? { value }
+        : { error: 'must be a time (HH:MM, 24-hour)' };
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : { error: 'must be true or false' };
+    case 'duration':
+      return parseDuration(value);
+    case 'timeZone':
+      return isValidTimeZone(value)
+        ? { value }
+        : { error: 'must be an IANA time zone such as "Europe/Istanbul"' };
+    case 'eventType': {
+      const types = options.eventTypes || [];
+      if (typeof value !== 'string' || (types.length > 0 && !types.includes(value))) {
+        return { error: `must be one of: ${types.join(', ')}` };
+      }
+      return { value };
+    }
+    case 'recurrence':
+      try {
+        return { value: normalizeRecurrence(value) };
+      } catch (error) {
+        return { error: error.message.replace(/^Recurrence /, '') };
+      }
+    case 'dateList':
+      if (!Array.isArray(value) || !value.every(isValidDate)) {
+        return { error: 'must be an array of dates (YYYY-MM-DD)' };
+      }
+      return { value: [...new Set(value)].sort() };
+    case 'tags':
+      return checkTags(value);
+    case 'overrides':
+      return checkOverrides(value, options);
+    case 'notifications':
+      return checkNotifications(value);
+    default:
+      return { error: 'has an unknown schema type' };
+  }
+}
+
+// Durations are whole minutes or ISO 8601 durations such as "PT1H30M" or "P3D".
+// Returns { value: { days, minutes } } or { error }.
+function parseDuration(value) {
+  const error = 'must be a number of minutes or an ISO 8601 duration such as "PT1H30M" or "P3D"';
+
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value > 0
+      ? { value: { days: 0, minutes: value } }
+      : { error };
+  }
+
+  const match = typeof value === 'string' && value.match(DURATION_PATTERN);
+  if (!match || value === 'P' || value.endsWith('T')) return { error };
+
+  // Seconds are accepted for iCalendar compatibility but ignored
+  const [weeks, days, hours, minutes] = match.slice(1, 5).map(part => Number(part || 0));
+  const result = { days: weeks * 7 + days, minutes: hours * 60 + minutes };
+  if (result.days === 0 && result.minutes === 0) return { error };
+  return { value: result };
+}
+
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MINUTES * 60000)
+    .toISOString().split('T')[0];
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) /
+    (DAY_MINUTES * 60000));
+}
+
+// End of an event from its start and a parsed duration. Timed events add
+// wall-clock minutes; all-day events must last whole days.
+// Returns { endDate, endTime } or { error }.
+function endFromDuration(date, time, duration) {
+  if (!time) {
+    if (duration.minutes > 0) return { error: 'must be whole days for all-day events' };
+    return { endDate: addDays(date, duration.days - 1), endTime: null };
+  }
+
+  const [hour, minute] = time.split(':').map(Number);
+  const total = hour * 60 + minute + duration.days * DAY_MINUTES + duration.minutes;
+  const endMinutes = total % DAY_MINUTES;
+  return {
+    endDate: addDays(date, Math.floor(total / DAY_MINUTES)),
+    endTime: `${String(Math.floor(endMinutes / 60)).padStart(2, '0')}:${String(endMinutes % 60).padStart(2, '0')}`
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Overrides map occurrence dates to partial events
+function checkOverrides(value, options) {
+  if (!isPlainObject(value)) return { error: 'must be an object keyed by date' };
+
+  const result = {};
+  for (const [date, fields] of Object.entries(value)) {
+    if (!isValidDate(date)) return { error: `has an invalid occurrence date: ${date}` };
+    if (!isPlainObject(fields)) return { error: `${date} must be an object` };
+
+    const checked = validateEvent(fields, {
+      ...options,
+      partial: true,
+      existing: null,
+      fields: OVERRIDE_FIELDS
+    });
+    if (checked.errors.length > 0) {
+      const { field, message } = checked.errors[0];
+      return { error: `${date}.${field} ${message}` };
+    }
+    result[date] = checked.value;
+  }
+  return { value: result };
+}
+
+// Tags are short free-form labels; duplicates (ignoring case) are dropped
+function checkTags(value) {
+  if (!Array.isArray(value) || !value.every(tag => typeof tag === 'string' && tag.trim() !== '')) {
+    return { error: 'must be an array of non-empty strings' };
+  }
+  const tags = [];
+  for (const tag of value.map(item => item.trim())) {
+    if (tag.length > MAX_TAG_LENGTH) {
+      return { error: `must each be at most ${MAX_TAG_LENGTH} characters` };
+    }
+    if (!tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+      tags.push(tag);
+    }
+  }
+  if (tags.length > MAX_TAGS) return { error: `must have at most ${MAX_TAGS} entries` };
+  return { value: tags };
+}
+
+// Notifications map channels to reminder offsets such as "15m", "1h" or "1d"
+function checkNotifications(value) {
+  if (!isPlainObject(value)) return { error: 'must be an object' };
+
+  for (const [channel, offsets] of Object.entries(value)) {
+    if (!NOTIFICATION_CHANNELS.includes(channel)) {
+      return { error: `has an unknown channel: ${channel}` };
+    }
+    if (!Array.isArray(offsets) ||
+        !offsets.every(offset => typeof offset === 'string' && NOTIFICATION_OFFSET_PATTERN.test(offset))) {
+      return { error: `${channel} must be an array of offsets like "15m", "1h" or "1d"` };
+    }
+  }
+  return { value };
+}
+
+// Checks that involve more than one field, run on the complete event
+function checkEvent(event, errors) {
+  if (event.endDate && event.date && event.endDate < event.date) {
+    errors.push({ field: 'endDate', message: 'must not be before date' });
+  } else if (event.endDate && event.date && daysBetween(event.date, event.endDate) >= MAX_SPAN_DAYS) {
+    errors.push({ field: 'endDate', message: `must be within ${MAX_SPAN_DAYS} days of date` });
+  }
+  if (event.time && event.endDate && event.endDate !== event.date && !event.endTime) {
+    errors.push({ field: 'endTime', message: 'is required when a timed event ends on a later day' });
+  }
+  if (event.endTime && !event.time) {
+    errors.push({ field: 'endTime', message: 'requires time' });
+  } else if (event.endTime && event.time && (!event.endDate || event.endDate === event.date) &&
+      event.endTime < event.time) {
+    errors.push({ field: 'endTime', message: 'must not be before time' });
+  }
+  if ((event.exdates || event.overrides) && !event.recurrence) {
+    errors.push({
+      field: event.exdates ? 'exdates' : 'overrides',
+      message: 'requires recurrence'
+    });
+  }
+}
+
+// Apply allDay and duration, which are stated in terms of other fields
+function resolveTiming(data, value, options, fields, errors) {
+  const current = (options.partial && options.existing) || {};
+  const pick = field => (value[field] !== undefined ? value[field] : current[field]);
+
+  if (value.allDay === true) {
+    if (value.time || value.endTime) {
+      errors.push({ field: 'allDay', message: 'cannot be combined with time or endTime' });
+      return;
+    }
+    if (options.partial) {
+      value.time = null;
+      value.endTime = null;
+    }
+  } else if (value.allDay === false && !pick('time')) {
+    errors.push({ field: 'time', message: 'is required unless allDay is true' });
+    return;
+  }
+
+  if (value.duration) {
+    if (data.endDate != null || data.endTime != null) {
+      errors.push({ field: 'duration', message: 'cannot be combined with endDate or endTime' });
+      return;
+    }
+    const date = pick('date');
+    if (date) {
+      const end = endFromDuration(date, pick('time'), value.duration);
+      if (end.error) {
+        errors.push({ field: 'duration', message: end.error });
+        return;
+      }
+      if (end.endDate !== date) {
+        value.endDate = end.endDate;
+      } else if (options.partial) {
+        value.endDate = null;
+      }
+      if (end.endTime || options.partial) value.endTime = end.endTime;
+    }
+  }
+  delete value.duration;
+
+  if (fields.includes('allDay') &&
+      (!options.partial || value.time !== undefined || value.allDay !== undefined)) {
+    value.allDay = !pick('time');
+  }
+}
+
+// Validate event data against the schema.
+// options.partial: only check the fields present (updates)
+// options.existing: the stored event an update applies to, for cross-field checks
+// options.eventTypes: allowed type values (from config.eventTypes)
+// options.defaultType: type given to new events that don't set one
+// options.fields: writable fields (defaults to every field in the schema)
+function validateEvent(data, options = {}) {
+  const errors = [];
+  const value = {};
+  const fields = options.fields || WRITABLE_FIELDS;
+
+  if (!isPlainObject(data)) {
+    return { value, errors: [{ field: null, message: 'Event must be an object' }] };
+  }
+
+  if (!options.partial && (data.type === undefined || data.type === null) && options.defaultType) {
+    data = { ...data, type: options.defaultType };
+  }
+
+  Object.keys(data).forEach(field => {
+    if (!fields.includes(field)) {
+      errors.push({ field, message: 'is not a writable field' });
+    }
+  });
+
+  fields.forEach(field => {
+    const spec = EVENT_SCHEMA[field];
+    const input = data[field];
+
+    if (input === undefined || input === null) {
+      if (spec.required && !options.partial) {
+        errors.push({ field, message: 'is required' });
+      } else if (spec.required && input === null) {
+        errors.push({ field, message: 'cannot be removed' });
+      } else if (input === null && options.partial) {
+        // null clears an optional field on update
+        value[field] = null;
+      }
+      return;
+    }
+
+    const checked = checkField(spec, input, options);
+    if (checked.error) {
+      errors.push({ field, message: checked.error });
+    } else {
+      value[field] = checked.value;
+    }
+  });
+
+  if (errors.length === 0) {
+    resolveTiming(data, value, options, fields, errors);
+  }
+
+  if (errors.length === 0 && !options.partial) {
+    checkEvent(value, errors);
+  } else if (errors.length === 0 && options.existing) {
+    const merged = { ...options.existing, ...value };
+    Object.keys(merged).forEach(field => {
+      if (merged[field] === null) delete merged[field];
+    });
+    if (value.recurrence === null) {
+      delete merged.exdates;
+      delete merged.overrides;
+    }
+    checkEvent(merged, errors);
+  }
+
+  return { value, errors };
+}
+
+// One-line summary of validation errors, for places that report a single reason
+function formatErrors(errors) {
+  return errors
+    .map(({ field, message }) => (field ? `${field} ${message}` : message))
+    .join('; ');
+}
+
+module.exports = {
+  EVENT_SCHEMA,
+  WRITABLE_FIELDS,
+  OVERRIDE_FIELDS,
+  parseDuration,
+  endFromDuration,
+  validateEvent,
+  formatErrors
+};
@@ -0,0 +1,69 @@
+// Event revision history and trash helpers
+//
+// Every change to an event is recorded as a revision:
+//   { eventId, number, action, at, actor, changes, event }
+// action is created, updated, deleted or restored; changes maps each changed
+// field to { from, to }; event is the full event after the change (for a
+// delete, the trashed event). Deleted events go to the trash (they keep a
+// deletedAt timestamp) until restored or purged. Only the latest
+// maxRevisionsPerEvent revisions of an event are kept.
+
+const TRASH_DEFAULTS = {
+  retentionDays: 30
+};
+
+const HISTORY_DEFAULTS = {
+  maxRevisionsPerEvent: 100
+};
+
+// Fields that change on every save and would only add noise to diffs
+const UNTRACKED_FIELDS = ['updatedAt', 'version'];
+
+// Who made a change: the API key used, or the client address
+function actorFromRequest(req, via = 'api') {
+  if (req.apiKey) {
+    return { via, apiKeyId: req.apiKey.id, apiKeyName: req.apiKey.name };
+  }
+  return { via, ip: req.ip };
+}
+
+// Field-level differences between two versions of an event
+function diffEvents(before = {}, after = {}) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  fields.forEach(field => {
+    if (UNTRACKED_FIELDS.includes(field)) return;
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+  return changes;
+}
+
+function createRevision(action, before, after, actor) {
+  return {
+    eventId: after.id,
+    action,
+    at: new Date().toISOString(),
+    actor: actor || null,
+    changes: diffEvents(before || {}, after),
+    event: after
+  };
+}
+
+// The event without its trash markers
+function untrash(event) {
+  const { deletedAt, deletedBy, ...rest } = event;
+  return rest;
+}
+
+module.exports = {
+  TRASH_DEFAULTS,
+  HISTORY_DEFAULTS,
+  actorFromRequest,
+  diffEvents,
+  createRevision,
+  untrash
+};
@@ -0,0 +1,310 @@
+// iCalendar (RFC 5545) text helpers and VEVENT parsing
+
+const { normalizeRecurrence } = require('./recurrence');
+const { SYSTEM_TIME_ZONE, isValidTimeZone, convertDateTime } = require('./timezone');
+const { parseDuration, endFromDuration } = require('./event-schema');
+
+// Escape a TEXT value (commas, semicolons, backslashes and newlines)
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) =>
+    (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Fold a content line to 75 octets as required by RFC 5545
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Split raw text into unfolded content lines
+function unfoldLines(text) {
+  return text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim() !== '');
+}
+
+// Parse "NAME;PARAM=value:VALUE" into its parts
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// Parse text into VEVENT components. Each component maps property names to
+// lists of { params, value }. Nested components such as VALARM are ignored.
+function parseICal(text) {
+  const vevents = [];
+  const stack = [];
+  let current = null;
+
+  unfoldLines(text).forEach(line => {
+    const prop = parseContentLine(line);
+    if (!prop) return;
+
+    if (prop.name === 'BEGIN') {
+      stack.push(prop.value.toUpperCase());
+      if (prop.value.toUpperCase() === 'VEVENT') {
+        current = {};
+      }
+      return;
+    }
+
+    if (prop.name === 'END') {
+      const type = stack.pop();
+      if (type === 'VEVENT' && current) {
+        vevents.push(current);
+        current = null;
+      }
+      return;
+    }
+
+    if (current && stack[stack.length - 1] === 'VEVENT') {
+      if (!current[prop.name]) current[prop.name] = [];
+      current[prop.name].push({ params: prop.params, value: prop.value });
+    }
+  });
+
+  return vevents;
+}
+
+// Parse a DATE or DATE-TIME property into { date, time } on the wall clock of
+// timeZone. UTC ("Z") and other TZID values are converted; floating times and
+// unknown TZIDs are kept as-is.
+function parseDateValue(prop, timeZone = SYSTEM_TIME_ZONE) {
+  const match = prop.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, , utc] = match;
+  const date = `${year}-${month}-${day}`;
+  const time = `${hour}:${minute}`;
+  if (prop.params.VALUE === 'DATE' || hour === undefined) {
+    return { date, time: null };
+  }
+
+  if (utc) {
+    return convertDateTime(date, time, 'UTC', timeZone);
+  }
+  if (prop.params.TZID && isValidTimeZone(prop.params.TZID)) {
+    return convertDateTime(date, time, prop.params.TZID, timeZone);
+  }
+  return { date, time };
+}
+
+function firstValue(vevent, name) {
+  return vevent[name] ? vevent[name][0] : null;
+}
+
+// Convert a parsed VEVENT into calendar event fields.
+// Returns { uid, recurrenceId, event } or { uid, error } when it can't be used.
+function veventToEvent(vevent, options = {}) {
+  const uidProp = firstValue(vevent, 'UID');
+  const uid = uidProp ? uidProp.value : null;
+  const summary = firstValue(vevent, 'SUMMARY');
+  const title = summary ? unescapeText(summary.value).trim() : '';
+
+  const status = firstValue(vevent, 'STATUS');
+  if (status && status.value.toUpperCase() === 'CANCELLED') {
+    return { uid, title, error: 'Event is cancelled' };
+  }
+
+  // Times are kept in the zone of DTSTART, or moved into the home zone
+  const homeZone = options.timeZone || SYSTEM_TIME_ZONE;
+  const dtstart = firstValue(vevent, 'DTSTART');
+  const eventZone = dtstart && isValidTimeZone(dtstart.params.TZID)
+    ? dtstart.params.TZID
+    : homeZone;
+  const start = dtstart && parseDateValue(dtstart, eventZone);
+  if (!start) {
+    return { uid, title, error: 'Missing or invalid DTSTART' };
+  }
+
+  const event = {
+    title: title || '(No title)',
+    date: start.date,
+    type: options.defaultType
+  };
+  if (start.time) event.time = start.time;
+  if (start.time && eventZone !== homeZone) event.timeZone = eventZone;
+
+  const description = firstValue(vevent, 'DESCRIPTION');
+  if (description && description.value) {
+    event.description = unescapeText(description.value);
+  }
+
+  const location = firstValue(vevent, 'LOCATION');
+  if (location && location.value) {
+    event.location = unescapeText(location.value);
+  }
+
+  // Use the first category matching a configured event type
+  const categories = (vevent.CATEGORIES || [])
+    .flatMap(prop => prop.value.split(','))
+    .map(value => unescapeText(value).trim().toLowerCase());
+  const matchingType = categories.find(category =>
+    (options.eventTypes || []).includes(category));
+  if (matchingType) event.type = matchingType;
+
+  const dtend = firstValue(vevent, 'DTEND');
+  const end = dtend && parseDateValue(dtend, eventZone);
+  if (end) {
+    if (!end.time && !start.time) {
+      // All-day DTEND is exclusive, so the event ends the day before
+      const last = new Date(`${end.date}T00:00:00Z`);
+      last.setUTCDate(last.getUTCDate() - 1);
+      const endDate = last.toISOString().split('T')[0];
+      if (endDate > event.date) event.endDate = endDate;
+    } else if (end.time) {
+      if (end.date !== event.date) event.endDate = end.date;
+      event.endTime = end.time;
+    }
+  }
+
+  const duration = firstValue(vevent, 'DURATION');
+  const length = !end && duration && parseDuration(duration.value);
+  if (length && length.value) {
+    const durationEnd = endFromDuration(event.date, event.time, length.value);
+    if (!durationEnd.error) {
+      if (durationEnd.endDate !== event.date) event.endDate = durationEnd.endDate;
+      if (durationEnd.endTime) event.endTime = durationEnd.endTime;
+    }
+  }
+
+  const rrule = firstValue(vevent, 'RRULE');
+  if (rrule) {
+    try {
+      event.recurrence = normalizeRecurrence(rrule.value);
+    } catch (error) {
+      return { uid, title, error: error.message };
+    }
+
+    // A UTC UNTIL may fall on another day in the event's zone
+    const untilMatch = rrule.value.match(/UNTIL=(\d{8}T\d{6}Z)/i);
+    if (untilMatch && event.recurrence.until) {
+      event.recurrence.until = parseDateValue({ params: {}, value: untilMatch[1] }, eventZone).date;
+    }
+
+    const exdates = (vevent.EXDATE || [])
+      .flatMap(prop => prop.value.split(',').map(value =>
+        parseDateValue({ params: prop.params, value }, eventZone)))
+      .filter(Boolean)
+      .map(value => value.date);
+    if (exdates.length > 0) {
+      event.exdates = [...new Set(exdates)].sort();
+    }
+  }
+
+  const recurrenceIdProp = firstValue(vevent, 'RECURRENCE-ID');
+  const recurrenceId = recurrenceIdProp && parseDateValue(recurrenceIdProp, eventZone);
+
+  return {
+    uid,
+    recurrenceId: recurrenceId ? recurrenceId.date : null,
+    event
+  };
+}
+
+// Parse text into events, merging RECURRENCE-ID components into their series
+// as overrides. Returns { items: [{ uid, event }], skipped: [{ uid, title, reason }] }.
+function parseEvents(text, options = {}) {
+  const items = [];
+  const skipped = [];
+  const occurrenceOverrides = [];
+
+  parseICal(text).forEach(vevent => {
+    const item = veventToEvent(vevent, options);
+    if (item.error) {
+      skipped.push({ uid: item.uid, title: item.title, reason: item.error });
+    } else if (item.recurrenceId) {
+      occurrenceOverrides.push(item);
+    } else {
+      items.push({ uid: item.uid, event: item.event });
+    }
+  });
+
+  occurrenceOverrides.forEach(item => {
+    const series = items.find(i => i.uid === item.uid && i.event.recurrence);
+    if (!series) {
+      skipped.push({
+        uid: item.uid,
+        title: item.event.title,
+        reason: 'RECURRENCE-ID without a matching recurring event'
+      });
+      return;
+    }
+
+    const { type, timeZone, recurrence, exdates, ...fields } = item.event;
+    if (fields.date === item.recurrenceId) delete fields.date;
+    series.event.overrides = { ...series.event.overrides, [item.recurrenceId]: fields };
+  });
+
+  return { items, skipped };
+}
+
+// Fields an iCalendar object is allowed to change on an existing event
+const ICAL_FIELDS = [
+  'title', 'date', 'time', 'endDate', 'endTime', 'allDay', 'timeZone', 'description',
+  'location', 'recurrence', 'exdates', 'overrides'
+];
+
+// Updates needed to make an existing event match a parsed one.
+// Fields missing from the parsed event are cleared with null.
+function diffEvent(existing, event) {
+  const changes = {};
+  ICAL_FIELDS.forEach(field => {
+    const value = event[field] === undefined ? null : event[field];
+    const current = existing[field] === undefined ? null : existing[field];
+    if (JSON.stringify(value) !== JSON.stringify(current)) {
+      changes[field] = value;
+    }
+  });
+  return changes;
+}
+
+module.exports = {
+  escapeText,
+  unescapeText,
+  foldLine,
+  parseICal,
+  parseDateValue,
+  veventToEvent,
+  parseEvents,
+  diffEvent
+};
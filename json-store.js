@@ -0,0 +1,234 @@
+// JSON file storage backend
+//
+// Events live in calendar-data.json, rewritten as a whole at most once a
+// second. Each change is first appended to calendar-data.journal, so nothing
+// is lost if the process dies before the next snapshot. Revisions are
+// appended to event-history.jsonl and lists are kept in one file each.
+
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  MAX_SYNC_CHANGES,
+  writeJsonAtomic,
+  readJsonFile,
+  Journal
+} = require('./storage');
+
+const SNAPSHOT_DELAY_MS = 1000;
+
+const LIST_FILES = {
+  webhooks: 'webhooks.json',
+  notifications: 'notifications.json',
+  webhookDeliveries: 'webhook-deliveries.json',
+  apiKeys: 'api-keys.json',
+  firedReminders: 'reminders-fired.json',
+  pushSubscriptions: 'push-subscriptions.json',
+  vapidKeys: 'vapid-keys.json',
+  emailCounts: 'email-counts.json'
+};
+
+class JsonStore {
+  constructor(dir) {
+    this.name = 'json';
+    this.dir = dir;
+    this.dataFile = path.join(dir, 'calendar-data.json');
+    this.location = this.dataFile;
+    this.journal = new Journal(path.join(dir, 'calendar-data.journal'));
+    this.history = new Journal(path.join(dir, 'event-history.jsonl'));
+    this.revisions = new Map();
+    this.events = new Map();
+    this.syncRevision = 0;
+    this.changes = [];
+    this.journalSeq = 0;
+    this.snapshotSeq = 0;
+    this.writeTimer = null;
+  }
+
+  listFile(name) {
+    if (!LIST_FILES[name]) throw new Error(`Unknown list "${name}"`);
+    return path.join(this.dir, LIST_FILES[name]);
+  }
+
+  // Create missing data files so they're easy to find and back up
+  async open() {
+    try {
+      await fs.access(this.dataFile);
+    } catch {
+      await writeJsonAtomic(this.dataFile, {
+        events: [],
+        lastModified: new Date().toISOString()
+      });
+    }
+
+    for (const name of ['webhooks', 'notifications', 'webhookDeliveries']) {
+      try {
+        await fs.access(this.listFile(name));
+      } catch {
+        await writeJsonAtomic(this.listFile(name), []);
+      }
+    }
+
+    const revisions = await this.history.open();
+    revisions.forEach(({ seq, ...revision }) => this.indexRevision(revision));
+  }
+
+  indexRevision(revision) {
+    if (!this.revisions.has(revision.eventId)) {
+      this.revisions.set(revision.eventId, []);
+    }
+    this.revisions.get(revision.eventId).push(revision);
+  }
+
+  // Load the last snapshot and replay journaled changes made after it
+  async loadEvents() {
+    const parsed = await readJsonFile(this.dataFile, {
+      fallback: { events: [] },
+      validate: data => Boolean(data) && Array.isArray(data.events)
+    });
+    this.events = new Map(parsed.events.map(event => [event.id, event]));
+    this.syncRevision = parsed.syncRevision || 0;
+    this.changes = parsed.changes || [];
+    this.journalSeq = parsed.journalSeq || 0;
+    this.snapshotSeq = this.journalSeq;
+
+    const entries = await this.journal.open(this.journalSeq);
+    if (entries.length > 0) {
+      if (entries[0].seq > this.journalSeq + 1) {
+        console.warn(`⚠️  Journal starts at change ${entries[0].seq} but the snapshot ends at ${this.journalSeq}; changes in between are lost`);
+      }
+      entries.forEach(entry => this.applyEntry(entry));
+      console.log(`📓 Replayed ${entries.length} journaled change(s)`);
+      await this.writeSnapshot();
+    }
+
+    return {
+      events: [...this.events.values()],
+      syncRevision: this.syncRevision,
+      changes: [...this.changes]
+    };
+  }
+
+  // Apply a journal entry ("put" adds or replaces, "delete" removes)
+  applyEntry({ seq, op, event, change }) {
+    if (op === 'delete') {
+      this.events.delete(event.id);
+    } else {
+      this.events.set(event.id, event);
+    }
+
+    this.journalSeq = seq;
+    if (!change) return;
+
+    this.changes.push(change);
+    if (this.changes.length > MAX_SYNC_CHANGES) {
+      this.changes = this.changes.slice(-MAX_SYNC_CHANGES);
+    }
+    this.syncRevision = change.revision;
+  }
+
+  // Once this resolves the change survives a crash
+  async commit(op, event, change) {
+    const seq = await this.journal.append({ op, event, change });
+    this.applyEntry({ seq, op, event, change });
+    this.queueSnapshot();
+  }
+
+  saveEvent(event, change) {
+    return this.commit('put', event, change);
+  }
+
+  removeEvent(event, change = null) {
+    return this.commit('delete', event, change);
+  }
+
+  async addRevision(revision) {
+    const existing = this.revisions.get(revision.eventId) || [];
+    const number = revision.number || (existing.length > 0 ? existing[existing.length - 1].number + 1 : 1);
+    const stored = { ...revision, number };
+    await this.history.append(stored);
+    this.indexRevision(stored);
+    return stored;
+  }
+
+  async loadRevisions(eventId) {
+    return [...(this.revisions.get(eventId) || [])];
+  }
+
+  // One rewrite of the history file for any number of events
+  async removeRevisions(eventIds) {
+    const removed = new Set(eventIds.filter(eventId => this.revisions.delete(eventId)));
+    if (removed.size === 0) return;
+    await this.history.retain(revision => !removed.has(revision.eventId));
+  }
+
+  async pruneRevisions(keep) {
+    // Highest revision number to drop, per event
+    const cutoffs = new Map();
+    this.revisions.forEach((revisions, eventId) => {
+      if (revisions.length <= keep) return;
+      cutoffs.set(eventId, revisions[revisions.length - keep - 1].number);
+      this.revisions.set(eventId, revisions.slice(revisions.length - keep));
+    });
+    if (cutoffs.size === 0) return;
+    await this.history.retain(revision =>
+      !cutoffs.has(revision.eventId) || revision.number > cutoffs.get(revision.eventId));
+  }
+
+  async importEvents({ events, syncRevision = 0, changes = [] }) {
+    this.events = new Map(events.map(event => [event.id, event]));
+    this.syncRevision = syncRevision;
+    this.changes = changes.slice(-MAX_SYNC_CHANGES);
+    // Everything journaled so far is superseded by the imported state
+    this.journalSeq = this.journal.seq;
+    await this.writeSnapshot();
+  }
+
+  queueSnapshot() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+    }
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.writeSnapshot().catch(error => console.error('Error writing events:', error));
+    }, SNAPSHOT_DELAY_MS);
+  }
+
+  // Write a snapshot. The one it replaces becomes the .bak copy, so journal
+  // entries are only dropped once that older snapshot covers them too.
+  async writeSnapshot() {
+    const journalSeq = this.journalSeq;
+    await writeJsonAtomic(this.dataFile, {
+      events: [...this.events.values()],
+      syncRevision: this.syncRevision,
+      changes: this.changes,
+      journalSeq,
+      lastModified: new Date().toISOString()
+    });
+    await this.journal.compact(this.snapshotSeq);
+    this.snapshotSeq = journalSeq;
+  }
+
+  loadList(name) {
+    return readJsonFile(this.listFile(name), { fallback: [], validate: Array.isArray });
+  }
+
+  saveList(name, items) {
+    return writeJsonAtomic(this.listFile(name), items);
+  }
+
+  // Write a pending snapshot now
+  async flush() {
+    if (!this.writeTimer) return;
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+    await this.writeSnapshot();
+  }
+
+  async close() {
+    await this.flush();
+    await this.journal.close();
+    await this.history.close();
+  }
+}
+
+module.exports = { JsonStore };
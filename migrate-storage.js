@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// Copy all data from one storage backend to another
+//
+//   node migrate-storage.js                      JSON files -> calendar.db
+//   node migrate-storage.js --to json --from sqlite
+//   node migrate-storage.js --file data/calendar.db --force
+//
+// Stop the server first. The source is left untouched; --force is needed to
+// overwrite a target that already has events. Afterwards set "storage" in
+// config.json to the new backend.
+
+const { STORAGE_BACKENDS, LIST_NAMES, createStore } = require('./storage');
+
+function parseArgs(argv) {
+  const options = { from: 'json', to: 'sqlite', file: undefined, force: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--force') {
+      options.force = true;
+    } else if (['--from', '--to', '--file'].includes(arg) && argv[i + 1]) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Unknown argument "${arg}"`);
+    }
+  }
+
+  [options.from, options.to].forEach(backend => {
+    if (!STORAGE_BACKENDS.includes(backend)) {
+      throw new Error(`Unknown storage backend "${backend}" (expected ${STORAGE_BACKENDS.join(' or ')})`);
+    }
+  });
+  if (options.from === options.to) {
+    throw new Error('--from and --to must be different backends');
+  }
+  return options;
+}
+
+async function migrate(options) {
+  const source = createStore({ backend: options.from, file: options.file }, __dirname);
+  const target = createStore({ backend: options.to, file: options.file }, __dirname);
+
+  await source.open();
+  await target.open();
+
+  try {
+    const state = await source.loadEvents();
+    const existing = await target.loadEvents();
+    if (existing.events.length > 0 && !options.force) {
+      throw new Error(`${target.location} already has ${existing.events.length} event(s); use --force to replace them`);
+    }
+
+    await target.removeRevisions(existing.events.map(event => event.id));
+    await target.importEvents(state);
+    console.log(`📅 ${state.events.length} event(s), sync revision ${state.syncRevision}`);
+
+    let revisionCount = 0;
+    for (const event of state.events) {
+      for (const revision of await source.loadRevisions(event.id)) {
+        await target.addRevision(revision);
+        revisionCount++;
+      }
+    }
+    console.log(`🕘 ${revisionCount} revision(s)`);
+
+    for (const name of LIST_NAMES) {
+      const items = await source.loadList(name);
+      await target.saveList(name, items);
+      console.log(`📋 ${items.length} ${name}`);
+    }
+
+    console.log(`\n✅ Migrated ${source.location} -> ${target.location}`);
+    console.log(`   Set "storage": { "backend": "${options.to}" } in config.json to use it.`);
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+Promise.resolve()
+  .then(() => migrate(parseArgs(process.argv.slice(2))))
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,63 @@
+// IndexedDB storage for the web calendar while offline
+//
+// "months" keeps the events last fetched for each month (keyed like the
+// calendar's eventCache, e.g. "2024-0"). "outbox" queues changes made while
+// the server was unreachable, in the order they were made.
+
+const OFFLINE_DB_NAME = 'taqweem';
+const OFFLINE_DB_VERSION = 1;
+
+class OfflineStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore('months');
+          db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Run a request against one object store and resolve with its result
+  async run(storeName, mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  saveMonth(key, events) {
+    return this.run('months', 'readwrite', store => store.put(events, key));
+  }
+
+  async loadMonth(key) {
+    return (await this.run('months', 'readonly', store => store.get(key))) || null;
+  }
+
+  // Queue a change; entries look like { op, id, ... } and get a "seq" number
+  enqueue(entry) {
+    return this.run('outbox', 'readwrite', store => store.add({ ...entry, queuedAt: Date.now() }));
+  }
+
+  getOutbox() {
+    return this.run('outbox', 'readonly', store => store.getAll());
+  }
+
+  dequeue(seq) {
+    return this.run('outbox', 'readwrite', store => store.delete(seq));
+  }
+}
@@ -0,0 +1,120 @@
+// Fixed-window rate limiter with per-client buckets persisted to disk
+//
+// Limits are grouped into named rules ("default", "heavy", "websocket"), each
+// with a window and a request limit for anonymous clients (by IP) and for
+// clients presenting an API key (by key).
+
+const fs = require('fs').promises;
+const { writeJsonAtomic } = require('./storage');
+
+const DEFAULT_RATE_LIMITS = {
+  enabled: true,
+  default: { windowMs: 3600000, anonymous: 100, apiKey: 1000 },
+  heavy: { windowMs: 60000, anonymous: 5, apiKey: 30 },
+  websocket: { windowMs: 60000, anonymous: 10, apiKey: 60 }
+};
+
+class RateLimiter {
+  constructor(file, getSettings) {
+    this.file = file;
+    this.getSettings = getSettings;
+    this.buckets = new Map();
+    this.dirty = false;
+  }
+
+  settings() {
+    const configured = this.getSettings() || {};
+    const settings = { ...DEFAULT_RATE_LIMITS, ...configured };
+    ['default', 'heavy', 'websocket'].forEach(rule => {
+      settings[rule] = { ...DEFAULT_RATE_LIMITS[rule], ...configured[rule] };
+    });
+    return settings;
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      const now = Date.now();
+      this.buckets = new Map(Object.entries(data.buckets || {})
+        .filter(([, bucket]) => bucket.resetAt > now));
+    } catch {
+      this.buckets = new Map();
+    }
+  }
+
+  async save() {
+    if (!this.dirty) return;
+    this.prune();
+    this.dirty = false;
+    await writeJsonAtomic(this.file, {
+      buckets: Object.fromEntries(this.buckets),
+      savedAt: new Date().toISOString()
+    });
+  }
+
+  // Drop buckets whose window has passed
+  prune() {
+    const now = Date.now();
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.resetAt <= now) this.buckets.delete(key);
+    });
+  }
+
+  // Count one request against a rule for a client.
+  // client is { tier: 'anonymous' | 'apiKey', id }.
+  hit(ruleName, client) {
+    const settings = this.settings();
+    const rule = settings[ruleName];
+    const limit = rule[client.tier];
+    const key = `${ruleName}:${client.tier}:${client.id}`;
+    const now = Date.now();
+
+    let bucket = this.buckets.get(key);
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + rule.windowMs };
+      this.buckets.set(key, bucket);
+    }
+
+    const allowed = !settings.enabled || bucket.count < limit;
+    if (allowed) bucket.count++;
+    this.dirty = true;
+
+    return {
+      allowed,
+      limit,
+      remaining: Math.max(0, limit - bucket.count),
+      resetSeconds: Math.ceil((bucket.resetAt - now) / 1000),
+      windowSeconds: Math.round(rule.windowMs / 1000)
+    };
+  }
+
+  // Standard RateLimit-* response headers for a hit result
+  headers(result) {
+    return {
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.resetSeconds),
+      'RateLimit-Policy': `${result.limit};w=${result.windowSeconds}`
+    };
+  }
+
+  // Express middleware; identify(req) returns the client to count against
+  middleware(ruleName, identify) {
+    return (req, res, next) => {
+      const result = this.hit(ruleName, identify(req));
+      res.set(this.headers(result));
+
+      if (!result.allowed) {
+        res.set('Retry-After', String(result.resetSeconds));
+        return res.status(429).json({
+          success: false,
+          error: 'Rate limit exceeded',
+          retryAfter: result.resetSeconds
+        });
+      }
+      next();
+    };
+  }
+}
+
+module.exports = { RateLimiter, DEFAULT_RATE_LIMITS };
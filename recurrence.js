@@ -0,0 +1,451 @@
+// Recurrence rules for repeating events (a practical subset of RFC 5545 RRULE)
+//
+// Rules are stored on events as plain objects:
+//   { freq: 'weekly', interval: 2, byDay: ['MO', 'WE'], count: 10 }
+// Dates are handled as YYYY-MM-DD strings and computed in UTC so that
+// expansion never drifts across daylight saving changes.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 86400000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const BYDAY_PATTERN = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+
+// Consecutive periods without a match after which a rule is taken to never
+// match again. Calendars repeat every 400 years (4800 months), so any rule
+// that matches at all matches again within that many periods.
+const MAX_EMPTY_PERIODS = 4800;
+
+// Date helpers
+function parseDate(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function isValidDate(dateStr) {
+  if (typeof dateStr !== 'string' || !DATE_PATTERN.test(dateStr)) return false;
+  return formatDate(parseDate(dateStr)) === dateStr;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.length > 0 ? list : null;
+}
+
+function toIntegerList(value, name, min, max) {
+  const list = toList(value);
+  if (!list) return null;
+  return list.map(item => {
+    const number = Number(item);
+    if (!Number.isInteger(number) || number === 0 || number < min || number > max) {
+      throw new Error(`Invalid recurrence ${name}: ${item}`);
+    }
+    return number;
+  });
+}
+
+// Parse an RRULE string ("FREQ=WEEKLY;BYDAY=MO,WE") into a rule object
+function parseRRule(rrule) {
+  const rule = {};
+  String(rrule).replace(/^RRULE:/i, '').split(';').forEach(part => {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined) return;
+
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.freq = value.toLowerCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        break;
+      case 'UNTIL':
+        rule.until = `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',');
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(Number);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = value.split(',').map(Number);
+        break;
+      case 'WKST':
+        // Weeks always start on Monday
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part: ${key.toUpperCase()}`);
+    }
+  });
+  return rule;
+}
+
+// Format a rule object as an RRULE value (without the "RRULE:" prefix).
+// untilValue replaces the default floating UNTIL, e.g. with a UTC DATE-TIME.
+function formatRRule(rule, untilValue) {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byMonth) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byDay) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${untilValue || `${rule.until.replace(/-/g, '')}T235959`}`);
+  return parts.join(';');
+}
+
+// Validate and normalize a rule given as an object or RRULE string.
+// Throws an Error describing the first problem found.
+function normalizeRecurrence(input) {
+  if (!input || (typeof input !== 'object' && typeof input !== 'string')) {
+    throw new Error('Recurrence must be an object or RRULE string');
+  }
+
+  const source = typeof input === 'string' ? parseRRule(input) : input;
+  const freq = String(source.freq || '').toLowerCase();
+  if (!FREQUENCIES.includes(freq)) {
+    throw new Error(`Recurrence freq must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  const rule = { freq, interval: 1 };
+
+  if (source.interval !== undefined) {
+    const interval = Number(source.interval);
+    if (!Number.isInteger(interval) || interval < 1) {
+      throw new Error('Recurrence interval must be a positive integer');
+    }
+    rule.interval = interval;
+  }
+
+  const byDay = toList(source.byDay);
+  if (byDay) {
+    rule.byDay = byDay.map(day => {
+      const value = String(day).trim().toUpperCase();
+      const match = value.match(BYDAY_PATTERN);
+      if (!match) {
+        throw new Error(`Invalid recurrence byDay: ${day}`);
+      }
+      if (match[1] !== undefined) {
+        const ordinal = Number(match[1]);
+        if (freq !== 'monthly' && freq !== 'yearly') {
+          throw new Error('Ordinal byDay values are only allowed for monthly and yearly rules');
+        }
+        // Yearly rules without byMonth count weekdays within the year
+        const maxOrdinal = freq === 'yearly' && !toList(source.byMonth) ? 53 : 5;
+        if (ordinal === 0 || Math.abs(ordinal) > maxOrdinal) {
+          throw new Error(`Invalid recurrence byDay: ${day}`);
+        }
+      }
+      return value;
+    });
+  }
+
+  const byMonthDay = toIntegerList(source.byMonthDay, 'byMonthDay', -31, 31);
+  if (byMonthDay) {
+    if (freq !== 'monthly' && freq !== 'yearly') {
+      throw new Error('byMonthDay is only allowed for monthly and yearly rules');
+    }
+    rule.byMonthDay = byMonthDay;
+  }
+
+  const byMonth = toIntegerList(source.byMonth, 'byMonth', 1, 12);
+  if (byMonth) {
+    if (freq !== 'yearly') {
+      throw new Error('byMonth is only allowed for yearly rules');
+    }
+    rule.byMonth = byMonth.sort((a, b) => a - b);
+  }
+
+  if (source.count !== undefined && source.count !== null) {
+    const count = Number(source.count);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('Recurrence count must be a positive integer');
+    }
+    rule.count = count;
+  }
+
+  if (source.until !== undefined && source.until !== null) {
+    if (!isValidDate(source.until)) {
+      throw new Error('Recurrence until must be a date (YYYY-MM-DD)');
+    }
+    rule.until = source.until;
+  }
+
+  if (rule.count && rule.until) {
+    throw new Error('Recurrence cannot have both count and until');
+  }
+
+  return rule;
+}
+
+// Days within one month matching the rule's byMonthDay/byDay parts
+function monthCandidates(year, month, rule, start) {
+  const length = daysInMonth(year, month);
+  let days;
+
+  if (rule.byMonthDay) {
+    days = rule.byMonthDay
+      .map(day => (day > 0 ? day : length + day + 1))
+      .filter(day => day >= 1 && day <= length);
+  } else if (rule.byDay) {
+    days = [];
+    for (let day = 1; day <= length; day++) {
+      days.push(day);
+    }
+  } else {
+    // Default to the start's day of month, skipping months that are too short
+    days = start.getUTCDate() <= length ? [start.getUTCDate()] : [];
+  }
+
+  if (rule.byDay) {
+    days = days.filter(day => {
+      const weekday = new Date(Date.UTC(year, month, day)).getUTCDay();
+      return rule.byDay.some(entry => {
+        const match = entry.match(BYDAY_PATTERN);
+        if (WEEKDAYS.indexOf(match[2]) !== weekday) return false;
+        if (match[1] === undefined) return true;
+        const ordinal = Number(match[1]);
+        return ordinal > 0
+          ? Math.ceil(day / 7) === ordinal
+          : Math.ceil((length - day + 1) / 7) === -ordinal;
+      });
+    });
+  }
+
+  return [...new Set(days)]
+    .sort((a, b) => a - b)
+    .map(day => new Date(Date.UTC(year, month, day)));
+}
+
+// Days of a year matching byMonthDay/byDay when no byMonth narrows them to
+// some months (RFC 5545): every month takes part and byDay ordinals count
+// within the year ("20MO" is the year's 20th Monday)
+function yearCandidates(year, rule) {
+  const yearLength = Math.round((Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / DAY_MS);
+  const dates = [];
+
+  for (let index = 0; index < yearLength; index++) {
+    const date = new Date(Date.UTC(year, 0, 1 + index));
+
+    if (rule.byMonthDay) {
+      const day = date.getUTCDate();
+      const length = daysInMonth(year, date.getUTCMonth());
+      if (!rule.byMonthDay.some(entry => (entry > 0 ? entry : length + entry + 1) === day)) continue;
+    }
+
+    if (rule.byDay) {
+      const weekday = date.getUTCDay();
+      const matches = rule.byDay.some(entry => {
+        const match = entry.match(BYDAY_PATTERN);
+        if (WEEKDAYS.indexOf(match[2]) !== weekday) return false;
+        if (match[1] === undefined) return true;
+        const ordinal = Number(match[1]);
+        return ordinal > 0
+          ? Math.ceil((index + 1) / 7) === ordinal
+          : Math.ceil((yearLength - index) / 7) === -ordinal;
+      });
+      if (!matches) continue;
+    }
+
+    dates.push(date);
+  }
+  return dates;
+}
+
+// Candidate dates for the n-th period of the rule, plus the period's first day
+function periodCandidates(start, rule, period) {
+  const step = period * rule.interval;
+
+  switch (rule.freq) {
+    case 'daily': {
+      const date = addDays(start, step);
+      const matches = !rule.byDay ||
+        rule.byDay.includes(WEEKDAYS[date.getUTCDay()]);
+      return { periodStart: date, dates: matches ? [date] : [] };
+    }
+    case 'weekly': {
+      // Weeks start on Monday (RFC 5545 default WKST)
+      const weekStart = addDays(start, -((start.getUTCDay() + 6) % 7) + step * 7);
+      const weekdays = rule.byDay
+        ? rule.byDay.map(day => WEEKDAYS.indexOf(day))
+        : [start.getUTCDay()];
+      const dates = [...new Set(weekdays)]
+        .map(weekday => addDays(weekStart, (weekday + 6) % 7))
+        .sort((a, b) => a - b);
+      return { periodStart: weekStart, dates };
+    }
+    case 'monthly': {
+      const monthIndex = start.getUTCMonth() + step;
+      const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+      const month = monthIndex % 12;
+      return {
+        periodStart: new Date(Date.UTC(year, month, 1)),
+        dates: monthCandidates(year, month, rule, start)
+      };
+    }
+    case 'yearly': {
+      const year = start.getUTCFullYear() + step;
+      if (!rule.byMonth && (rule.byDay || rule.byMonthDay)) {
+        return { periodStart: new Date(Date.UTC(year, 0, 1)), dates: yearCandidates(year, rule) };
+      }
+      const months = rule.byMonth
+        ? rule.byMonth.map(month => month - 1)
+        : [start.getUTCMonth()];
+      const dates = [];
+      months.forEach(month => {
+        dates.push(...monthCandidates(year, month, rule, start));
+      });
+      return { periodStart: new Date(Date.UTC(year, 0, 1)), dates };
+    }
+    default:
+      return { periodStart: start, dates: [] };
+  }
+}
+
+// The first period of a rule that can hold dates on or after a date
+function periodAt(start, rule, date) {
+  let periods;
+  switch (rule.freq) {
+    case 'daily':
+      periods = Math.round((date - start) / DAY_MS);
+      break;
+    case 'weekly': {
+      const weekOf = day => addDays(day, -((day.getUTCDay() + 6) % 7));
+      periods = Math.round((weekOf(date) - weekOf(start)) / (7 * DAY_MS));
+      break;
+    }
+    case 'monthly':
+      periods = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+        date.getUTCMonth() - start.getUTCMonth();
+      break;
+    default:
+      periods = date.getUTCFullYear() - start.getUTCFullYear();
+  }
+  return Math.max(0, Math.floor(periods / rule.interval));
+}
+
+// Generate occurrence dates (YYYY-MM-DD) in ascending order.
+// The start date always counts as the first occurrence. Open-ended series
+// go on for as long as the caller keeps asking; a horizon date (the end of
+// the range being expanded) stops the walk at that date. Without a count,
+// the walk starts at the period holding skipTo, and dates before skipTo (other
+// than the start date) may or may not be generated.
+function* occurrenceDates(startDate, rule, horizon, skipTo) {
+  const start = parseDate(startDate);
+  const until = rule.until ? parseDate(rule.until) : null;
+  const last = horizon && (!until || parseDate(horizon) < until) ? parseDate(horizon) : until;
+  let emitted = 0;
+
+  if (last && start > last) return;
+  yield startDate;
+  emitted++;
+
+  // Counted series have to be walked from the start to know where they end
+  const firstPeriod = skipTo && !rule.count ? periodAt(start, rule, parseDate(skipTo)) : 0;
+  for (let period = firstPeriod, empty = 0; empty < MAX_EMPTY_PERIODS; period++) {
+    const { periodStart, dates } = periodCandidates(start, rule, period);
+    if (last && periodStart > last) return;
+    empty = dates.length > 0 ? 0 : empty + 1;
+
+    for (const date of dates) {
+      if (date <= start) continue;
+      if (last && date > last) return;
+      if (rule.count && emitted >= rule.count) return;
+
+      yield formatDate(date);
+      emitted++;
+    }
+
+    if (rule.count && emitted >= rule.count) return;
+  }
+}
+
+// Check whether a date is a generated occurrence of a recurring event
+function isOccurrence(event, dateStr) {
+  for (const date of occurrenceDates(event.date, event.recurrence, dateStr, dateStr)) {
+    if (date === dateStr) return true;
+    if (date > dateStr) return false;
+  }
+  return false;
+}
+
+// Last day of an occurrence starting on a date, keeping the series' length.
+// Returns undefined for single-day events.
+function occurrenceEndDate(event, dateStr) {
+  if (!event.endDate || event.endDate === event.date) return undefined;
+  const length = Math.round((parseDate(event.endDate) - parseDate(event.date)) / DAY_MS);
+  return formatDate(addDays(parseDate(dateStr), length));
+}
+
+// Expand a recurring event into concrete instances overlapping two dates
+// (inclusive). Exception dates are skipped and per-occurrence overrides are
+// merged in. Multi-day occurrences keep the length of the series.
+function expandEvent(event, from, to) {
+  const exdates = new Set(event.exdates || []);
+  const overrides = event.overrides || {};
+
+  // Overrides may move an occurrence into the range from further out, and
+  // multi-day occurrences that start earlier may reach into it
+  const horizon = Object.keys(overrides).reduce(
+    (latest, date) => (date > latest ? date : latest), to);
+  const length = event.endDate && event.endDate > event.date
+    ? Math.round((parseDate(event.endDate) - parseDate(event.date)) / DAY_MS)
+    : 0;
+  const earliest = Object.keys(overrides).reduce(
+    (first, date) => (date < first ? date : first), formatDate(addDays(parseDate(from), -length)));
+
+  const { exdates: _exdates, overrides: _overrides, ...base } = event;
+  const instances = [];
+
+  for (const date of occurrenceDates(event.date, event.recurrence, horizon, earliest)) {
+    if (date > horizon) break;
+    if (exdates.has(date)) continue;
+
+    const instance = {
+      ...base,
+      ...overrides[date],
+      id: event.id,
+      originalDate: date
+    };
+    if (!overrides[date] || !overrides[date].date) {
+      instance.date = date;
+    }
+    if (!overrides[date] || !overrides[date].endDate) {
+      const endDate = occurrenceEndDate(event, instance.date);
+      if (endDate) instance.endDate = endDate;
+    }
+
+    if (instance.date <= to && (instance.endDate || instance.date) >= from) {
+      instances.push(instance);
+    }
+  }
+
+  return instances;
+}
+
+module.exports = {
+  FREQUENCIES,
+  isValidDate,
+  parseRRule,
+  formatRRule,
+  normalizeRecurrence,
+  occurrenceDates,
+  isOccurrence,
+  occurrenceEndDate,
+  expandEvent
+};
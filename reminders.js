@@ -0,0 +1,106 @@
+// Reminder scheduling
+//
+// Events list reminder offsets per channel, e.g.
+//   notifications: { push: ['15m'], email: ['1h', '1d'], sms: [] }
+// Each reminder is due at the event's start minus its offset (m, h, d or w).
+// All-day events start at reminders.allDayTime in the home time zone, and
+// every occurrence of a recurring event gets its own reminders.
+//
+// A reminder fires once. Its key (event, start, channel and offset) is saved
+// before it is delivered, so a restart never repeats it; moving an event to a
+// new time arms its reminders again. Reminders that came due while the server
+// was down are sent on the next check, unless they are more than
+// reminders.catchUpHours old or the event started a while ago.
+
+const { toTimestamp } = require('./timezone');
+
+const REMINDER_DEFAULTS = {
+  allDayTime: '09:00',
+  catchUpHours: 24
+};
+
+// How often due reminders are looked for
+const REMINDER_CHECK_MS = 30000;
+
+const OFFSET_MINUTES = { m: 1, h: 60, d: 1440, w: 10080 };
+
+// Reminders for an event that started longer ago than this are dropped
+const STARTED_GRACE_MS = 5 * 60000;
+
+// Reminders sent this long after they were due are marked late
+const LATE_AFTER_MS = 2 * REMINDER_CHECK_MS;
+
+// Fired keys are kept this long after the event's start, then forgotten
+const FIRED_RETENTION_MS = 7 * 86400000;
+
+// Minutes in an offset such as "15m" or "2d", or null if it isn't one
+function parseOffset(offset) {
+  const match = /^(\d+)([mhdw])$/.exec(offset);
+  return match ? Number(match[1]) * OFFSET_MINUTES[match[2]] : null;
+}
+
+// Longest reminder offset any event uses, in minutes
+function maxOffsetMinutes(events) {
+  let max = 0;
+  events.forEach(event => {
+    Object.values(event.notifications || {}).forEach(offsets => {
+      (offsets || []).forEach(offset => {
+        max = Math.max(max, parseOffset(offset) || 0);
+      });
+    });
+  });
+  return max;
+}
+
+// When an occurrence starts, as a timestamp
+function occurrenceStart(event, homeZone, settings) {
+  if (!event.time) return toTimestamp(event.date, settings.allDayTime, homeZone);
+  return toTimestamp(event.date, event.time, event.timeZone || homeZone);
+}
+
+function reminderKey(eventId, start, channel, offset) {
+  return `${eventId}|${new Date(start).toISOString()}|${channel}|${offset}`;
+}
+
+// Reminders of the given occurrences that are due at `now` and haven't
+// fired yet: [{ key, event, channel, offset, remindAt, start, late }]
+function findDueReminders(occurrences, { now, fired, homeZone, settings }) {
+  const catchUpMs = settings.catchUpHours * 3600000;
+  const due = [];
+
+  occurrences.forEach(event => {
+    const start = occurrenceStart(event, homeZone, settings);
+    if (start < now - STARTED_GRACE_MS) return;
+
+    Object.entries(event.notifications || {}).forEach(([channel, offsets]) => {
+      new Set(offsets || []).forEach(offset => {
+        const minutes = parseOffset(offset);
+        if (minutes === null) return;
+
+        const remindAt = start - minutes * 60000;
+        if (remindAt > now || remindAt < now - catchUpMs) return;
+
+        const key = reminderKey(event.id, start, channel, offset);
+        if (fired.has(key)) return;
+        due.push({ key, event, channel, offset, remindAt, start, late: now - remindAt > LATE_AFTER_MS });
+      });
+    });
+  });
+
+  return due.sort((a, b) => a.remindAt - b.remindAt);
+}
+
+// Fired reminders still worth remembering
+function pruneFired(fired, now) {
+  return fired.filter(entry => Date.parse(entry.start) > now - FIRED_RETENTION_MS);
+}
+
+module.exports = {
+  REMINDER_DEFAULTS,
+  REMINDER_CHECK_MS,
+  STARTED_GRACE_MS,
+  parseOffset,
+  maxOffsetMinutes,
+  findDueReminders,
+  pruneFired
+};
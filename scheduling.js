@@ -0,0 +1,67 @@
+// Interval helpers for conflict detection and free/busy queries
+//
+// Intervals are { start, end } timestamps in milliseconds, end exclusive.
+
+// Defaults for the "scheduling" section of config.json
+const DEFAULT_SCHEDULING = {
+  conflicts: 'warn',
+  defaultDurationMinutes: 60,
+  allDayBusy: false,
+  workingHours: {
+    start: '09:00',
+    end: '17:00',
+    days: [1, 2, 3, 4, 5]
+  }
+};
+
+const CONFLICT_MODES = ['reject', 'warn', 'ignore'];
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+// Merge overlapping or touching intervals, keeping the events behind them
+function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  sorted.forEach(interval => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+      last.events.push(...(interval.events || []));
+    } else {
+      merged.push({ ...interval, events: [...(interval.events || [])] });
+    }
+  });
+
+  return merged;
+}
+
+// Parts of a window not covered by merged busy intervals
+function freeSlots(window, busy, minMs = 0) {
+  const slots = [];
+  let cursor = window.start;
+
+  busy.forEach(interval => {
+    if (interval.end <= cursor || interval.start >= window.end) return;
+    if (interval.start > cursor) {
+      slots.push({ start: cursor, end: interval.start });
+    }
+    cursor = Math.max(cursor, interval.end);
+  });
+
+  if (cursor < window.end) {
+    slots.push({ start: cursor, end: window.end });
+  }
+
+  return slots.filter(slot => slot.end - slot.start >= minMs);
+}
+
+module.exports = {
+  DEFAULT_SCHEDULING,
+  CONFLICT_MODES,
+  overlaps,
+  mergeIntervals,
+  freeSlots
+};
@@ -0,0 +1,346 @@
+// In-memory full-text search over events
+//
+// Text is normalized before indexing and searching: lowercased, accents and
+// Arabic diacritics (harakat, tatweel) removed, and Arabic letter variants
+// folded together (أ إ آ ٱ -> ا, ة -> ه, ى -> ي). Words lose a leading
+// definite article (ال, وال, بال, ...), so "المدرسة" matches "مدرسة". The
+// index maps each term to the events and fields it appears in, with word
+// positions for phrases.
+//
+// Query syntax (all parts must match):
+//   team meet          words; the last letters may be missing (prefix) and
+//                      small typos are tolerated (fuzzy)
+//   "weekly sync"      exact phrase
+//   title:standup      restrict to a field: title, description, location,
+//                      type or tag; field:"a phrase" works too
+//
+// Results are ranked with BM25-style scoring: rarer terms, matches in the
+// title and exact (rather than prefix or fuzzy) matches count for more.
+
+const SEARCH_FIELDS = {
+  title: 3,
+  tags: 2,
+  type: 2,
+  location: 1.5,
+  description: 1
+};
+
+// Field names accepted before a colon in queries
+const FIELD_ALIASES = {
+  title: 'title',
+  description: 'description',
+  location: 'location',
+  type: 'type',
+  tag: 'tags',
+  tags: 'tags'
+};
+
+// How much partial matches count compared to an exact one
+const MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.7,
+  fuzzy: 0.5
+};
+
+const MIN_PREFIX_LENGTH = 2;
+const MAX_EXPANSIONS = 50;
+const TF_SATURATION = 1.2;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 50;
+
+const WORD_PATTERN = /[\p{L}\p{N}\p{M}]+/gu;
+const ARABIC_FOLDS = { 'ٱ': 'ا', 'ة': 'ه', 'ى': 'ي', 'ـ': '' };
+const ARABIC_DIGITS = /[٠-٩۰-۹]/g;
+const ARABIC_ARTICLE = /^(?:[وفبكل]?ال|لل)(?=\p{L}{2})/u;
+
+function normalizeText(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[ٱةىـ]/g, char => ARABIC_FOLDS[char])
+    .replace(ARABIC_DIGITS, digit => String(digit.charCodeAt(0) & 0xf))
+    .toLowerCase();
+}
+
+// Words of a text as { term, start, end }, with offsets into the original
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text).matchAll(WORD_PATTERN)) {
+    const term = normalizeText(match[0]).replace(ARABIC_ARTICLE, '');
+    if (term) tokens.push({ term, start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// Edit distance with adjacent transpositions, or Infinity once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return Infinity;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length] <= max ? previous[b.length] : Infinity;
+}
+
+// Typos tolerated for a query term of this length
+function allowedEdits(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+// Split a query into clauses: { field, terms, phrase }. field is null for
+// any field; a phrase needs its terms next to each other.
+function parseSearchQuery(query) {
+  const clauses = [];
+  const pattern = /(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  for (const match of String(query).matchAll(pattern)) {
+    const [, prefix, quoted, word] = match;
+    const name = prefix && prefix.toLowerCase();
+    const field = name && Object.hasOwn(FIELD_ALIASES, name) ? FIELD_ALIASES[name] : null;
+    // An unknown prefix ("10:30", "re:") is part of the text
+    const text = prefix && !field
+      ? `${prefix} ${quoted !== undefined ? quoted : word}`
+      : (quoted !== undefined ? quoted : word);
+    const terms = tokenize(text).map(token => token.term);
+    if (terms.length === 0) continue;
+
+    if (quoted !== undefined) {
+      clauses.push({ field, terms, phrase: true });
+    } else {
+      terms.forEach(term => clauses.push({ field, terms: [term], phrase: false }));
+    }
+  }
+  return clauses;
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+// Text with the words whose terms are in `terms` wrapped in <mark>; long
+// text is cut down to a window starting shortly before the first match
+function highlight(text, terms) {
+  const matches = tokenize(text).filter(token => terms.has(token.term));
+  if (matches.length === 0) return null;
+
+  let from = 0;
+  let to = text.length;
+  if (text.length > SNIPPET_LENGTH) {
+    from = Math.max(0, matches[0].start - SNIPPET_LEAD);
+    to = Math.min(text.length, from + SNIPPET_LENGTH);
+    // Don't cut words in half
+    while (from > 0 && /[\p{L}\p{N}]/u.test(text[from - 1])) from--;
+    while (to < text.length && /[\p{L}\p{N}]/u.test(text[to])) to++;
+  }
+
+  let result = from > 0 ? '…' : '';
+  let position = from;
+  matches
+    .filter(token => token.start >= from && token.end <= to)
+    .forEach(token => {
+      result += escapeHtml(text.slice(position, token.start));
+      result += `<mark>${escapeHtml(text.slice(token.start, token.end))}</mark>`;
+      position = token.end;
+    });
+  result += escapeHtml(text.slice(position, to));
+  return to < text.length ? `${result}…` : result;
+}
+
+function fieldText(event, field) {
+  if (field === 'tags') return (event.tags || []).join(', ');
+  return event[field] || '';
+}
+
+class SearchIndex {
+  constructor() {
+    // term -> Map(eventId -> Map(field -> positions))
+    this.postings = new Map();
+    // eventId -> { event, terms }
+    this.docs = new Map();
+  }
+
+  // Index an event, replacing what was indexed for it before
+  add(event) {
+    this.remove(event.id);
+    const terms = new Set();
+
+    Object.keys(SEARCH_FIELDS).forEach(field => {
+      tokenize(fieldText(event, field)).forEach(({ term }, position) => {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        const byEvent = this.postings.get(term);
+        if (!byEvent.has(event.id)) byEvent.set(event.id, new Map());
+        const byField = byEvent.get(event.id);
+        if (!byField.has(field)) byField.set(field, []);
+        byField.get(field).push(position);
+        terms.add(term);
+      });
+    });
+
+    this.docs.set(event.id, { event, terms });
+  }
+
+  remove(eventId) {
+    const doc = this.docs.get(eventId);
+    if (!doc) return;
+    doc.terms.forEach(term => {
+      const byEvent = this.postings.get(term);
+      byEvent.delete(eventId);
+      if (byEvent.size === 0) this.postings.delete(term);
+    });
+    this.docs.delete(eventId);
+  }
+
+  rebuild(events) {
+    this.postings = new Map();
+    this.docs = new Map();
+    events.forEach(event => this.add(event));
+  }
+
+  idf(term) {
+    const count = this.postings.get(term)?.size || 0;
+    return Math.log(1 + (this.docs.size - count + 0.5) / (count + 0.5));
+  }
+
+  // Indexed terms a query term may stand for, each with its match weight.
+  // When there are more than MAX_EXPANSIONS, the closest are kept: the exact
+  // term, then the shortest prefix matches, then the fewest edits.
+  expand(term) {
+    const candidates = [];
+    const edits = allowedEdits(term);
+    for (const candidate of this.postings.keys()) {
+      if (candidate === term) {
+        candidates.push({ candidate, weight: MATCH_WEIGHTS.exact, rank: [0, 0] });
+      } else if (term.length >= MIN_PREFIX_LENGTH && candidate.startsWith(term)) {
+        candidates.push({ candidate, weight: MATCH_WEIGHTS.prefix, rank: [1, candidate.length] });
+      } else if (edits > 0) {
+        const distance = editDistance(term, candidate, edits);
+        if (distance <= edits) {
+          candidates.push({ candidate, weight: MATCH_WEIGHTS.fuzzy, rank: [2, distance] });
+        }
+      }
+    }
+
+    candidates.sort((a, b) =>
+      a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1] || a.candidate.localeCompare(b.candidate));
+    return new Map(candidates.slice(0, MAX_EXPANSIONS).map(({ candidate, weight }) => [candidate, weight]));
+  }
+
+  // Weighted term frequency of a term's occurrences in the allowed fields
+  fieldScore(byField, field) {
+    let score = 0;
+    byField.forEach((positions, name) => {
+      if (field && name !== field) return;
+      score += SEARCH_FIELDS[name] * positions.length / (positions.length + TF_SATURATION);
+    });
+    return score;
+  }
+
+  // Scores of the events matching one clause, with the terms that matched
+  // per field (for highlighting): Map(eventId -> { score, matched })
+  matchClause(clause) {
+    const results = new Map();
+    const note = (eventId, score, field, term) => {
+      if (!results.has(eventId)) results.set(eventId, { score: 0, matched: [] });
+      const result = results.get(eventId);
+      result.score = Math.max(result.score, score);
+      result.matched.push({ field, term });
+    };
+
+    if (!clause.phrase) {
+      const [term] = clause.terms;
+      this.expand(term).forEach((weight, candidate) => {
+        const idf = this.idf(candidate);
+        this.postings.get(candidate).forEach((byField, eventId) => {
+          const score = this.fieldScore(byField, clause.field);
+          if (score === 0) return;
+          byField.forEach((_, field) => {
+            if (!clause.field || field === clause.field) note(eventId, weight * idf * score, field, candidate);
+          });
+        });
+      });
+      return results;
+    }
+
+    // Phrases: every word exactly, at consecutive positions in one field
+    const postings = clause.terms.map(term => this.postings.get(term));
+    if (postings.some(byEvent => !byEvent)) return results;
+    const idf = clause.terms.reduce((sum, term) => sum + this.idf(term), 0);
+
+    postings[0].forEach((firstFields, eventId) => {
+      firstFields.forEach((starts, field) => {
+        if (clause.field && field !== clause.field) return;
+        const count = starts.filter(start => postings.every((byEvent, offset) =>
+          (byEvent.get(eventId)?.get(field) || []).includes(start + offset))).length;
+        if (count === 0) return;
+        const score = idf * SEARCH_FIELDS[field] * count / (count + TF_SATURATION);
+        clause.terms.forEach(term => note(eventId, score, field, term));
+      });
+    });
+    return results;
+  }
+
+  // Ranked matches: [{ event, score, highlights }], where highlights maps
+  // each matching field to an HTML snippet with the matches in <mark>
+  search(query) {
+    const clauses = parseSearchQuery(query);
+    if (clauses.length === 0) return [];
+
+    let combined = null;
+    for (const clause of clauses) {
+      const matches = this.matchClause(clause);
+      if (combined === null) {
+        combined = matches;
+      } else {
+        combined.forEach((result, eventId) => {
+          const match = matches.get(eventId);
+          if (!match) {
+            combined.delete(eventId);
+            return;
+          }
+          result.score += match.score;
+          result.matched.push(...match.matched);
+        });
+      }
+      if (combined.size === 0) return [];
+    }
+
+    return [...combined]
+      .map(([eventId, { score, matched }]) => {
+        const { event } = this.docs.get(eventId);
+        const highlights = {};
+        Object.keys(SEARCH_FIELDS).forEach(field => {
+          const terms = new Set(matched.filter(m => m.field === field).map(m => m.term));
+          const snippet = terms.size > 0 && highlight(fieldText(event, field), terms);
+          if (snippet) highlights[field] = snippet;
+        });
+        return { event, score: Math.round(score * 1000) / 1000, highlights };
+      })
+      .sort((a, b) => b.score - a.score ||
+        a.event.date.localeCompare(b.event.date) ||
+        String(a.event.id).localeCompare(String(b.event.id)));
+  }
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  normalizeText,
+  tokenize,
+  parseSearchQuery,
+  SearchIndex
+};
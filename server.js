@@ -6,13 +6,128 @@ const compression = require('compression');
 const crypto = require('crypto');
 const WebSocket = require('ws');
 const http = require('http');
+const https = require('https');
+const {
+  normalizeRecurrence,
+  formatRRule,
+  isOccurrence,
+  isValidDate,
+  occurrenceEndDate,
+  expandEvent
+} = require('./recurrence');
+const { escapeText, foldLine, parseEvents, diffEvent } = require('./ical');
+const { createCalDavRouter, basicAuthKey } = require('./caldav');
+const { RateLimiter } = require('./rate-limiter');
+const { MAX_SYNC_CHANGES, StorageCorruptError, createStore } = require('./storage');
+const { TRASH_DEFAULTS, HISTORY_DEFAULTS, actorFromRequest, createRevision, untrash } = require('./history');
+const { parseEventQuery, queryPageKey, runEventQuery } = require('./event-query');
+const { SearchIndex } = require('./search-index');
+const {
+  REMINDER_DEFAULTS,
+  REMINDER_CHECK_MS,
+  STARTED_GRACE_MS,
+  maxOffsetMinutes,
+  findDueReminders,
+  pruneFired
+} = require('./reminders');
+const { EMAIL_DEFAULTS, describeWhen, composeReminderEmail } = require('./email');
+const { buildMessage, sendMail } = require('./smtp');
+const { PUSH_DEFAULTS, generateVapidKeys, validateSubscription, buildPushRequest } = require('./webpush');
+const {
+  PreconditionFailedError,
+  eventETag,
+  listETag,
+  versionToIfMatch,
+  ifMatchAllows
+} = require('./concurrency');
+const { validateEvent, formatErrors, OVERRIDE_FIELDS } = require('./event-schema');
+const {
+  SYSTEM_TIME_ZONE,
+  isValidTimeZone,
+  toZonedDateTime,
+  toTimestamp,
+  convertDateTime,
+  addDays,
+  formatZonedTimestamp,
+  vtimezoneLines
+} = require('./timezone');
+const {
+  DEFAULT_SCHEDULING,
+  CONFLICT_MODES,
+  overlaps,
+  mergeIntervals,
+  freeSlots
+} = require('./scheduling');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const DATA_FILE = path.join(__dirname, 'calendar-data.json');
 const CONFIG_FILE = path.join(__dirname, 'config.json');
-const WEBHOOKS_FILE = path.join(__dirname, 'webhooks.json');
-const NOTIFICATIONS_FILE = path.join(__dirname, 'notifications.json');
+const RATE_LIMITS_FILE = path.join(__dirname, 'rate-limits.json');
+
+// Bootstrap admin credential for issuing the first API keys
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+// API key scopes ('admin' grants every scope)
+const API_KEY_SCOPES = ['events:read', 'events:write', 'webhooks:manage', 'admin'];
+const DEFAULT_API_KEY_SCOPES = ['events:read', 'events:write'];
+
+// Web client files served statically (never data files or server code)
+const STATIC_FILES = [
+  'calendar.html',
+  'calendar.js',
+  'calendar-style.css',
+  'offline-store.js',
+  'manifest.webmanifest',
+  'icon.svg'
+];
+
+// Fields whose change can move an event into a conflict
+const TIMING_FIELDS = ['date', 'time', 'endDate', 'endTime', 'allDay', 'timeZone', 'recurrence'];
+
+// Occurrences of a new recurring event checked for conflicts (within a year)
+const CONFLICT_CHECK_OCCURRENCES = 50;
+
+// Event names a webhook can subscribe to ('*' is every one)
+const WEBHOOK_EVENTS = ['event.created', 'event.updated', 'event.deleted', 'event.reminder', '*'];
+
+// Webhook delivery defaults (overridable through config.json "webhooks")
+const DEFAULT_WEBHOOK_SETTINGS = {
+  timeoutMs: 10000,
+  maxAttempts: 6,
+  backoffBaseMs: 30000,
+  backoffMaxMs: 3600000,
+  disableAfterFailures: 5,
+  deliveryLogLimit: 500
+};
+
+// POST a JSON body to a URL, resolving with the response status code
+function postJson(url, body, headers, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    
+    const req = client.request(target, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Length': Buffer.byteLength(body)
+      },
+      timeout: timeoutMs
+    }, (res) => {
+      // Drain the response so the socket is released
+      res.resume();
+      res.on('end', () => resolve({ statusCode: res.statusCode }));
+    });
+    
+    req.on('timeout', () => {
+      req.destroy(new Error(`Timed out after ${timeoutMs}ms`));
+    });
+    req.on('error', reject);
+    
+    req.write(body);
+    req.end();
+  });
+}
 
 // In-memory cache and data management
 class DataCache {
@@ -20,14 +135,32 @@ class DataCache {
     this.events = null;
     this.config = null;
     this.webhooks = [];
+    this.webhookDeliveries = [];
+    this.activeDeliveries = new Set();
+    this.processingWebhooks = false;
+    this.webhookQueueRequested = false;
     this.notifications = [];
+    this.firedReminders = new Map();
+    this.checkingReminders = false;
+    this.emailsInFlight = new Map();
+    this.emailCounts = new Map();
+    this.vapidKeys = null;
+    this.pushSubscriptions = [];
     this.apiKeys = new Map();
+    this.apiKeysWriteTimer = null;
     this.lastModified = {
       events: null,
       config: null
     };
-    this.writeTimer = null;
+    this.store = null;
+    this.commitQueue = Promise.resolve();
+    this.trash = new Map();
+    this.searchIndex = new SearchIndex();
+    this.lastEventId = 0;
+    this.syncRevision = 0;
+    this.changes = [];
     this.eventsByDate = {};
+    this.recurringEvents = new Map();
     this.wsClients = new Set();
   }
 
@@ -39,62 +172,224 @@ class DataCache {
     return this.events;
   }
 
-  // Load events from file
+  // Open the storage backend chosen by config.json "storage"
+  async openStore() {
+    this.store = createStore(this.config && this.config.storage, __dirname);
+    await this.store.open();
+  }
+
+  // Load events from the store, setting trashed ones aside. Damaged data
+  // throws instead of starting with an empty calendar.
   async loadEvents() {
-    try {
-      const data = await fs.readFile(DATA_FILE, 'utf8');
-      const parsed = JSON.parse(data);
-      this.events = parsed.events || [];
-      this.lastModified.events = Date.now();
+    const stored = await this.store.loadEvents();
+    // Events saved before versioning start at version 1
+    const events = stored.events.map(event => (event.version ? event : { ...event, version: 1 }));
+    const { syncRevision, changes } = stored;
+    this.events = events.filter(event => !event.deletedAt);
+    this.trash = new Map(events.filter(event => event.deletedAt).map(event => [event.id, event]));
+    this.syncRevision = syncRevision;
+    this.changes = changes;
+    this.lastModified.events = Date.now();
+    
+    this.rebuildIndex();
+    this.searchIndex.rebuild(this.events);
+    return this.events;
+  }
+
+  // Run store operations one at a time so sync revisions are handed out in
+  // the order changes are stored
+  enqueueCommit(operation) {
+    const commit = this.commitQueue.then(operation);
+    this.commitQueue = commit.catch(() => {});
+    return commit;
+  }
+
+  // Store a new version of an event (trashed when it has deletedAt) with its
+  // revision, then apply it in memory. build(current) runs in the queue, after
+  // any commits queued before this one, and returns { event, revision } made
+  // from the event as stored at that moment (undefined for a new one), or
+  // null to leave it alone. options.ifMatch is checked against the same event.
+  // Resolves with { event, previous }, or null when build declined.
+  commitChange(eventId, build, options = {}) {
+    return this.enqueueCommit(async () => {
+      const current = this.events.find(e => e.id === eventId) || this.trash.get(eventId);
+      const next = build(current);
+      if (!next) return null;
+      if (!ifMatchAllows(options.ifMatch, current)) {
+        throw new PreconditionFailedError(current);
+      }
       
-      // Index events by date
-      this.eventsByDate = {};
-      this.events.forEach(event => {
-        if (!this.eventsByDate[event.date]) {
-          this.eventsByDate[event.date] = [];
-        }
-        this.eventsByDate[event.date].push(event);
-      });
+      const { event, revision } = next;
+      event.version = current ? current.version + 1 : 1;
       
-      return this.events;
-    } catch (error) {
-      console.error('Error loading events:', error);
-      this.events = [];
-      return [];
+      const change = {
+        revision: this.syncRevision + 1,
+        id: event.id,
+        resourceName: event.resourceName || event.id,
+        deleted: Boolean(event.deletedAt)
+      };
+      
+      await this.store.saveEvent(event, change);
+      this.applyChange(event, change);
+      
+      // The change is stored either way; a failed revision write only leaves
+      // a gap in the event's history
+      try {
+        await this.store.addRevision(revision);
+      } catch (error) {
+        console.error(`Error recording revision of event ${event.id}:`, error);
+      }
+      return { event, previous: current };
+    });
+  }
+
+  // Add, replace or trash an event in memory
+  applyChange(event, change) {
+    const index = this.events.findIndex(e => e.id === event.id);
+    if (index !== -1) {
+      this.unindexEvent(this.events[index]);
     }
+    
+    if (event.deletedAt) {
+      if (index !== -1) this.events.splice(index, 1);
+      this.trash.set(event.id, event);
+      this.searchIndex.remove(event.id);
+    } else {
+      this.trash.delete(event.id);
+      if (index !== -1) {
+        this.events[index] = event;
+      } else {
+        this.events.push(event);
+      }
+      this.indexEvent(event);
+      this.searchIndex.add(event);
+    }
+    
+    this.recordChange(change);
+    this.lastModified.events = Date.now();
+  }
+
+  // Index all events by the day they fall on in the home time zone
+  rebuildIndex() {
+    this.eventsByDate = {};
+    this.recurringEvents = new Map();
+    this.indexTimeZone = this.getHomeTimeZone();
+    this.events.forEach(event => this.indexEvent(event));
+  }
+
+  // Add event to the date index (recurring events are expanded on demand)
+  indexEvent(event) {
+    if (event.recurrence) {
+      this.recurringEvents.set(event.id, event);
+      return;
+    }
+    this.forEachHomeDay(event, date => {
+      if (!this.eventsByDate[date]) {
+        this.eventsByDate[date] = [];
+      }
+      this.eventsByDate[date].push(event);
+    });
+  }
+
+  // Remove event from the date index
+  unindexEvent(event) {
+    if (event.recurrence) {
+      this.recurringEvents.delete(event.id);
+      return;
+    }
+    this.forEachHomeDay(event, date => {
+      if (this.eventsByDate[date]) {
+        this.eventsByDate[date] = this.eventsByDate[date]
+          .filter(e => e.id !== event.id);
+      }
+    });
+  }
+
+  // Home time zone from config.json "locale.timeZone" (defaults to the system zone)
+  getHomeTimeZone() {
+    const timeZone = this.config && this.config.locale && this.config.locale.timeZone;
+    return isValidTimeZone(timeZone) ? timeZone : SYSTEM_TIME_ZONE;
+  }
+
+  // Today's date in the home time zone
+  getToday() {
+    return toZonedDateTime(Date.now(), this.getHomeTimeZone()).date;
+  }
+
+  // First and last day an event covers in the home time zone. Events without
+  // a time zone are already in home time, and all-day events keep their dates
+  // everywhere. An end at midnight doesn't cover the day it lands on.
+  getHomeSpan(event) {
+    const endDate = event.endDate || event.date;
+    if (!event.time || !event.timeZone) {
+      const end = event.endTime === '00:00' && endDate > event.date ? addDays(endDate, -1) : endDate;
+      return { start: event.date, end };
+    }
+    
+    const homeZone = this.getHomeTimeZone();
+    const start = convertDateTime(event.date, event.time, event.timeZone, homeZone).date;
+    if (!event.endTime) {
+      return { start, end: endDate > start ? endDate : start };
+    }
+    
+    const end = convertDateTime(endDate, event.endTime, event.timeZone, homeZone);
+    const lastDay = end.time === '00:00' && end.date > start ? addDays(end.date, -1) : end.date;
+    return { start, end: lastDay > start ? lastDay : start };
+  }
+
+  // Call fn with every home date an event covers
+  forEachHomeDay(event, fn) {
+    const { start, end } = this.getHomeSpan(event);
+    for (let date = start; date <= end; date = addDays(date, 1)) {
+      fn(date);
+    }
+  }
+
+  // Expand recurring events into occurrences between two home dates (inclusive)
+  getRecurringOccurrences(startDate, endDate) {
+    const result = [];
+    this.recurringEvents.forEach(event => {
+      if (!event.timeZone) {
+        result.push(...expandEvent(event, startDate, endDate));
+        return;
+      }
+      // Occurrences in another zone can land a day either side
+      expandEvent(event, addDays(startDate, -1), addDays(endDate, 1)).forEach(instance => {
+        const { start, end } = this.getHomeSpan(instance);
+        if (start <= endDate && end >= startDate) result.push(instance);
+      });
+    });
+    return result;
   }
 
   // Get today's events
   getTodayEvents() {
-    const today = new Date().toISOString().split('T')[0];
-    return this.eventsByDate[today] || [];
+    const today = this.getToday();
+    return this.getEventsInRange(today, today);
   }
 
   // Get upcoming events
   getUpcomingEvents(days = 7) {
-    const result = [];
-    const start = new Date();
-    const end = new Date();
-    end.setDate(end.getDate() + days);
-    
-    for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-      const dateStr = d.toISOString().split('T')[0];
-      if (this.eventsByDate[dateStr]) {
-        result.push(...this.eventsByDate[dateStr]);
-      }
-    }
+    const today = this.getToday();
     
-    return result.sort((a, b) => new Date(a.date) - new Date(b.date));
+    return this.getEventsInRange(today, addDays(today, days))
+      .sort((a, b) => a.date.localeCompare(b.date) || (a.time || '').localeCompare(b.time || ''));
   }
 
-  // Search events
+  // Ranked full-text search (see search-index.js): [{ event, score, highlights }]
   searchEvents(query) {
-    const lowerQuery = query.toLowerCase();
-    return this.events.filter(event => 
-      event.title.toLowerCase().includes(lowerQuery) ||
-      (event.description && event.description.toLowerCase().includes(lowerQuery)) ||
-      event.type.toLowerCase().includes(lowerQuery)
-    );
+    return this.searchIndex.search(query);
+  }
+
+  // Run a parsed event query (see event-query.js). A date range expands
+  // recurring events into occurrences; without one, series are listed once.
+  queryEvents(query) {
+    let candidates = query.start ? this.getEventsInRange(query.start, query.end) : this.events;
+    if (query.search) {
+      const matches = new Set(this.searchEvents(query.search).map(hit => hit.event.id));
+      candidates = candidates.filter(event => matches.has(event.id));
+    }
+    return runEventQuery(candidates, query);
   }
 
   // Get events by type
@@ -102,18 +397,28 @@ class DataCache {
     return this.events.filter(event => event.type === type);
   }
 
-  // Get events in date range
+  // Get events in date range. Bounds are home dates (YYYY-MM-DD) or Date
+  // objects, which are converted to their day in the home time zone.
   getEventsInRange(startDate, endDate) {
+    const toHomeDate = value => (value instanceof Date
+      ? toZonedDateTime(value.getTime(), this.getHomeTimeZone()).date
+      : String(value).slice(0, 10));
+    const start = toHomeDate(startDate);
+    const end = toHomeDate(endDate);
     const result = [];
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const seen = new Set();
     
-    for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-      const dateStr = d.toISOString().split('T')[0];
-      if (this.eventsByDate[dateStr]) {
-        result.push(...this.eventsByDate[dateStr]);
-      }
-    }
+    // Multi-day events are indexed on every day, so list each only once
+    Object.keys(this.eventsByDate)
+      .filter(date => date >= start && date <= end)
+      .sort()
+      .forEach(date => this.eventsByDate[date].forEach(event => {
+        if (seen.has(event.id)) return;
+        seen.add(event.id);
+        result.push(event);
+      }));
+    
+    result.push(...this.getRecurringOccurrences(start, end));
     
     return result;
   }
@@ -123,10 +428,12 @@ class DataCache {
     const now = new Date();
     const checkTime = new Date(now.getTime() + minutesBefore * 60000);
     const result = [];
+    const candidates = this.getEventsInRange(now, checkTime);
     
-    this.events.forEach(event => {
+    candidates.forEach(event => {
       if (event.date && event.time) {
-        const eventTime = new Date(`${event.date}T${event.time}`);
+        const eventTime = toTimestamp(event.date, event.time,
+          event.timeZone || this.getHomeTimeZone());
         if (eventTime > now && eventTime <= checkTime) {
           const minutesUntil = Math.floor((eventTime - now) / 60000);
           result.push({
@@ -141,10 +448,115 @@ class DataCache {
     return result;
   }
 
-  // Add event with notifications
-  async addEvent(eventData) {
+  // Scheduling settings (DEFAULT_SCHEDULING merged with config.json "scheduling")
+  getSchedulingSettings() {
+    const configured = (this.config && this.config.scheduling) || {};
+    return {
+      ...DEFAULT_SCHEDULING,
+      ...configured,
+      workingHours: { ...DEFAULT_SCHEDULING.workingHours, ...configured.workingHours }
+    };
+  }
+
+  // Time an event occupies as { start, end } timestamps, or null when it
+  // doesn't block time (all-day events, unless allDayBusy is set)
+  getEventInterval(event, settings = this.getSchedulingSettings()) {
+    const homeZone = this.getHomeTimeZone();
+    if (!event.time) {
+      if (!settings.allDayBusy) return null;
+      return {
+        start: toTimestamp(event.date, null, homeZone),
+        end: toTimestamp(addDays(event.endDate || event.date, 1), null, homeZone)
+      };
+    }
+    
+    const zone = event.timeZone || homeZone;
+    const start = toTimestamp(event.date, event.time, zone);
+    const end = event.endTime
+      ? toTimestamp(event.endDate || event.date, event.endTime, zone)
+      : start + settings.defaultDurationMinutes * 60000;
+    return { start, end };
+  }
+
+  // Stored events overlapping an event that is about to be saved.
+  // New recurring events are checked over their upcoming occurrences.
+  findConflicts(event, excludeId = null) {
+    const settings = this.getSchedulingSettings();
+    const homeZone = this.getHomeTimeZone();
+    const candidates = event.recurrence
+      ? expandEvent(event, event.date, addDays(event.date, 365)).slice(0, CONFLICT_CHECK_OCCURRENCES)
+      : [event];
+    const conflicts = [];
+    const seen = new Set();
+    
+    candidates.forEach(candidate => {
+      const interval = this.getEventInterval(candidate, settings);
+      if (!interval) return;
+      
+      // Look one day further for events an overnight candidate runs into
+      const { start, end } = this.getHomeSpan(candidate);
+      this.getEventsInRange(start, addDays(end, 1)).forEach(other => {
+        if (excludeId && other.id === excludeId) return;
+        
+        const otherInterval = this.getEventInterval(other, settings);
+        const key = `${other.id}:${other.originalDate || other.date}`;
+        if (!otherInterval || !overlaps(interval, otherInterval) || seen.has(key)) return;
+        
+        seen.add(key);
+        conflicts.push({
+          id: other.id,
+          title: other.title,
+          date: other.date,
+          ...(other.originalDate && { originalDate: other.originalDate }),
+          start: formatZonedTimestamp(otherInterval.start, homeZone),
+          end: formatZonedTimestamp(otherInterval.end, homeZone)
+        });
+      });
+    });
+    
+    return conflicts;
+  }
+
+  // Merged busy intervals and free slots within working hours between two
+  // home dates (inclusive)
+  getFreeBusy(startDate, endDate, { minMinutes = 0 } = {}) {
+    const settings = this.getSchedulingSettings();
+    const homeZone = this.getHomeTimeZone();
+    const rangeStart = toTimestamp(startDate, null, homeZone);
+    const rangeEnd = toTimestamp(addDays(endDate, 1), null, homeZone);
+    
+    // Events from the day before can still be running when the range starts
+    const intervals = [];
+    this.getEventsInRange(addDays(startDate, -1), endDate).forEach(event => {
+      const interval = this.getEventInterval(event, settings);
+      if (!interval || interval.end <= rangeStart || interval.start >= rangeEnd) return;
+      intervals.push({ ...interval, events: [{ id: event.id, title: event.title }] });
+    });
+    const busy = mergeIntervals(intervals);
+    
+    const { workingHours } = settings;
+    const free = [];
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+      if (!workingHours.days.includes(weekday)) continue;
+      
+      free.push(...freeSlots({
+        start: toTimestamp(date, workingHours.start, homeZone),
+        end: toTimestamp(date, workingHours.end, homeZone)
+      }, busy, minMinutes * 60000));
+    }
+    
+    return { busy, free };
+  }
+
+  // Add event with notifications. options.actor records who made the change.
+  async addEvent(eventData, options = {}) {
+    if (eventData.recurrence) {
+      eventData = { ...eventData, recurrence: normalizeRecurrence(eventData.recurrence) };
+    }
+    
     const newEvent = {
-      id: Date.now().toString(),
+      id: this.generateEventId(),
       ...eventData,
       createdAt: new Date().toISOString(),
       notifications: eventData.notifications || {
@@ -154,13 +566,10 @@ class DataCache {
       }
     };
     
-    this.events.push(newEvent);
-    
-    // Update index
-    if (!this.eventsByDate[newEvent.date]) {
-      this.eventsByDate[newEvent.date] = [];
-    }
-    this.eventsByDate[newEvent.date].push(newEvent);
+    await this.commitChange(newEvent.id, () => ({
+      event: newEvent,
+      revision: createRevision('created', null, newEvent, options.actor)
+    }));
     
     // Broadcast to WebSocket clients
     this.broadcast({
@@ -169,40 +578,87 @@ class DataCache {
     });
     
     // Trigger webhooks
-    this.triggerWebhooks('event.created', newEvent);
+    this.triggerWebhooks('event.created', newEvent).catch(error => {
+      console.error('Webhook error:', error);
+    });
     
-    this.queueWrite();
     return newEvent;
   }
 
-  // Update event
-  async updateEvent(eventId, updates) {
-    const index = this.events.findIndex(e => e.id === eventId);
-    if (index === -1) return null;
-    
-    const oldEvent = this.events[index];
-    const updatedEvent = {
-      ...oldEvent,
-      ...updates,
-      id: eventId,
-      updatedAt: new Date().toISOString()
-    };
+  // Log a change for sync clients (CalDAV sync tokens)
+  recordChange(change) {
+    this.syncRevision = change.revision;
+    this.changes.push(change);
     
-    this.events[index] = updatedEvent;
-    
-    // Update index
-    if (oldEvent.date !== updatedEvent.date) {
-      // Remove from old date
-      if (this.eventsByDate[oldEvent.date]) {
-        this.eventsByDate[oldEvent.date] = this.eventsByDate[oldEvent.date]
-          .filter(e => e.id !== eventId);
-      }
-      // Add to new date
-      if (!this.eventsByDate[updatedEvent.date]) {
-        this.eventsByDate[updatedEvent.date] = [];
-      }
-      this.eventsByDate[updatedEvent.date].push(updatedEvent);
+    // Keep only the last changes; older sync tokens force a full resync
+    if (this.changes.length > MAX_SYNC_CHANGES) {
+      this.changes = this.changes.slice(-MAX_SYNC_CHANGES);
     }
+  }
+
+  // Changes since a sync revision, or null if that revision is no longer known
+  getChangesSince(revision) {
+    if (revision > this.syncRevision) return null;
+    const oldest = this.changes.length > 0 ? this.changes[0].revision : this.syncRevision + 1;
+    if (revision < oldest - 1) return null;
+    return this.changes.filter(change => change.revision > revision);
+  }
+
+  // Find an event by its CalDAV resource name (defaults to the event id)
+  findEventByResourceName(name) {
+    return this.events.find(e => (e.resourceName || e.id) === name) || null;
+  }
+
+  // Timestamp-based IDs, bumped so events added in the same millisecond stay unique
+  generateEventId() {
+    const id = Math.max(Date.now(), this.lastEventId + 1);
+    this.lastEventId = id;
+    return id.toString();
+  }
+
+  // Find an event by its iCalendar UID (imported or generated by export)
+  findEventByUid(uid) {
+    if (!uid) return null;
+    return this.events.find(e => e.uid === uid || `${e.id}@calendar.app` === uid) || null;
+  }
+
+  // Update event (conditional on the event's ETag when options.ifMatch is
+  // set). updates may be a function of the current event returning the
+  // updates, or null to leave the event alone.
+  async updateEvent(eventId, updates, options = {}) {
+    const committed = await this.commitChange(eventId, oldEvent => {
+      if (!oldEvent || oldEvent.deletedAt) return null;
+      const fields = typeof updates === 'function' ? updates(oldEvent) : updates;
+      if (!fields) return null;
+      
+      const updatedEvent = {
+        ...oldEvent,
+        ...fields,
+        id: eventId,
+        updatedAt: new Date().toISOString()
+      };
+      
+      // Null clears an optional field
+      Object.keys(fields).forEach(field => {
+        if (updatedEvent[field] === null) delete updatedEvent[field];
+      });
+      
+      // A null recurrence turns a series back into a one-off event
+      if (updatedEvent.recurrence) {
+        updatedEvent.recurrence = normalizeRecurrence(updatedEvent.recurrence);
+      } else {
+        delete updatedEvent.recurrence;
+        delete updatedEvent.exdates;
+        delete updatedEvent.overrides;
+      }
+      
+      return {
+        event: updatedEvent,
+        revision: createRevision('updated', oldEvent, updatedEvent, options.actor)
+      };
+    }, { ifMatch: options.ifMatch });
+    if (!committed) return null;
+    const updatedEvent = committed.event;
     
     // Broadcast update
     this.broadcast({
@@ -210,24 +666,25 @@ class DataCache {
       data: updatedEvent
     });
     
-    this.triggerWebhooks('event.updated', updatedEvent);
-    this.queueWrite();
+    this.triggerWebhooks('event.updated', updatedEvent).catch(error => {
+      console.error('Webhook error:', error);
+    });
     return updatedEvent;
   }
 
-  // Delete event
-  async deleteEvent(eventId) {
-    const index = this.events.findIndex(e => e.id === eventId);
-    if (index === -1) return false;
-    
-    const event = this.events[index];
-    this.events.splice(index, 1);
-    
-    // Update index
-    if (this.eventsByDate[event.date]) {
-      this.eventsByDate[event.date] = this.eventsByDate[event.date]
-        .filter(e => e.id !== eventId);
-    }
+  // Move an event to the trash. options.ifMatch makes it conditional on the
+  // event's ETag.
+  async deleteEvent(eventId, options = {}) {
+    const committed = await this.commitChange(eventId, event => {
+      if (!event || event.deletedAt) return null;
+      const trashed = {
+        ...event,
+        deletedAt: new Date().toISOString(),
+        deletedBy: options.actor || null
+      };
+      return { event: trashed, revision: createRevision('deleted', event, trashed, options.actor) };
+    }, { ifMatch: options.ifMatch });
+    if (!committed) return false;
     
     // Broadcast deletion
     this.broadcast({
@@ -235,11 +692,168 @@ class DataCache {
       data: { id: eventId }
     });
     
-    this.triggerWebhooks('event.deleted', { id: eventId });
-    this.queueWrite();
+    this.triggerWebhooks('event.deleted', { id: eventId }).catch(error => {
+      console.error('Webhook error:', error);
+    });
     return true;
   }
 
+  // Override fields of a single occurrence of a recurring event
+  async updateOccurrence(eventId, date, updates, options = {}) {
+    const { id, recurrence, exdates, overrides, createdAt, updatedAt, ...fields } = updates;
+    return this.updateEvent(eventId, event => {
+      if (!event.recurrence || !isOccurrence(event, date)) return null;
+      return {
+        overrides: {
+          ...event.overrides,
+          [date]: { ...(event.overrides || {})[date], ...fields }
+        }
+      };
+    }, options);
+  }
+
+  // Cancel a single occurrence of a recurring event
+  async cancelOccurrence(eventId, date, options = {}) {
+    return this.updateEvent(eventId, event => {
+      if (!event.recurrence || !isOccurrence(event, date)) return null;
+      
+      const overrides = { ...event.overrides };
+      delete overrides[date];
+      return {
+        exdates: [...new Set([...(event.exdates || []), date])].sort(),
+        overrides
+      };
+    }, options);
+  }
+
+  // Revisions of a live or trashed event, oldest first
+  async getRevisions(eventId) {
+    if (!this.events.some(e => e.id === eventId) && !this.trash.has(eventId)) return null;
+    return this.store.loadRevisions(eventId);
+  }
+
+  // Put an event back the way it was at a revision (taking it out of the
+  // trash if needed)
+  async restoreRevision(eventId, number, options = {}) {
+    if (!this.events.some(e => e.id === eventId) && !this.trash.has(eventId)) return null;
+    
+    const revisions = await this.store.loadRevisions(eventId);
+    const target = revisions.find(revision => revision.number === number);
+    if (!target) return null;
+    
+    return this.restoreEvent(eventId, current => current && {
+      ...untrash(target.event),
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString()
+    }, { ...options, restoredFrom: number });
+  }
+
+  // Take an event out of the trash as it was when deleted
+  async restoreFromTrash(eventId, options = {}) {
+    return this.restoreEvent(eventId, current => current && current.deletedAt && {
+      ...untrash(current),
+      updatedAt: new Date().toISOString()
+    }, options);
+  }
+
+  // Restores announce themselves like the change they undo: an event coming
+  // out of the trash is "added", any other restore is an update.
+  // restore(current) builds the restored event, or returns a falsy value
+  // when there is nothing to restore.
+  async restoreEvent(eventId, restore, options) {
+    const committed = await this.commitChange(eventId, current => {
+      const restored = restore(current);
+      if (!restored) return null;
+      
+      const revision = createRevision('restored', current, restored, options.actor);
+      if (options.restoredFrom) {
+        revision.restoredFrom = options.restoredFrom;
+      }
+      return { event: restored, revision };
+    });
+    if (!committed) return null;
+    const { event: restored, previous: current } = committed;
+    
+    if (current.deletedAt) {
+      this.broadcast({ type: 'event-added', data: restored });
+      this.triggerWebhooks('event.created', restored).catch(error => {
+        console.error('Webhook error:', error);
+      });
+    } else {
+      this.broadcast({ type: 'event-updated', data: restored });
+      this.triggerWebhooks('event.updated', restored).catch(error => {
+        console.error('Webhook error:', error);
+      });
+    }
+    return restored;
+  }
+
+  // Trash settings (TRASH_DEFAULTS merged with config.json "trash")
+  getTrashSettings() {
+    return {
+      ...TRASH_DEFAULTS,
+      ...(this.config && this.config.trash)
+    };
+  }
+
+  // History settings (HISTORY_DEFAULTS merged with config.json "history")
+  getHistorySettings() {
+    return {
+      ...HISTORY_DEFAULTS,
+      ...(this.config && this.config.history)
+    };
+  }
+
+  // Trashed events, most recently deleted first, with when each is purged
+  getTrash() {
+    const retentionMs = this.getTrashSettings().retentionDays * 86400000;
+    return [...this.trash.values()]
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+      .map(event => ({
+        ...event,
+        purgeAt: new Date(new Date(event.deletedAt).getTime() + retentionMs).toISOString()
+      }));
+  }
+
+  // Delete trashed events and their history for good, removing all their
+  // revisions at once; resolves with the number of events purged
+  purgeEvents(eventIds) {
+    return this.enqueueCommit(async () => {
+      const events = eventIds.map(eventId => this.trash.get(eventId)).filter(Boolean);
+      if (events.length === 0) return 0;
+      
+      for (const event of events) {
+        await this.store.removeEvent(event);
+      }
+      await this.store.removeRevisions(events.map(event => event.id));
+      events.forEach(event => this.trash.delete(event.id));
+      return events.length;
+    });
+  }
+
+  async purgeEvent(eventId) {
+    return (await this.purgeEvents([eventId])) > 0;
+  }
+
+  // Empty the trash; resolves with the number of events purged
+  emptyTrash() {
+    return this.purgeEvents([...this.trash.keys()]);
+  }
+
+  // Purge events that have been in the trash longer than the retention period
+  purgeExpiredTrash() {
+    const cutoff = Date.now() - this.getTrashSettings().retentionDays * 86400000;
+    return this.purgeEvents([...this.trash.values()]
+      .filter(event => new Date(event.deletedAt).getTime() <= cutoff)
+      .map(event => event.id));
+  }
+
+  // Drop revisions beyond the newest history.maxRevisionsPerEvent of each event
+  pruneHistory() {
+    return this.enqueueCommit(() =>
+      this.store.pruneRevisions(this.getHistorySettings().maxRevisionsPerEvent));
+  }
+
   // WebSocket broadcast
   broadcast(message) {
     const messageStr = JSON.stringify(message);
@@ -252,16 +866,11 @@ class DataCache {
 
   // Webhook management
   async loadWebhooks() {
-    try {
-      const data = await fs.readFile(WEBHOOKS_FILE, 'utf8');
-      this.webhooks = JSON.parse(data);
-    } catch {
-      this.webhooks = [];
-    }
+    this.webhooks = await this.store.loadList('webhooks');
   }
 
   async saveWebhooks() {
-    await fs.writeFile(WEBHOOKS_FILE, JSON.stringify(this.webhooks, null, 2));
+    await this.store.saveList('webhooks', this.webhooks);
   }
 
   async addWebhook(webhook) {
@@ -277,152 +886,925 @@ class DataCache {
 
   async removeWebhook(id) {
     this.webhooks = this.webhooks.filter(w => w.id !== id);
+    this.webhookDeliveries = this.webhookDeliveries.filter(d => d.webhookId !== id);
     await this.saveWebhooks();
+    await this.saveWebhookDeliveries();
   }
 
   // Trigger webhooks for an event
   async triggerWebhooks(eventType, data) {
     const relevantWebhooks = this.webhooks.filter(w => 
-      w.events.includes(eventType) || w.events.includes('*')
+      w.active !== false &&
+      (w.events.includes(eventType) || w.events.includes('*'))
     );
     
+    if (relevantWebhooks.length === 0) return;
+    
     relevantWebhooks.forEach(webhook => {
-      // In production, use a queue system
-      this.callWebhook(webhook, eventType, data);
+      this.createDelivery(webhook, eventType, data);
     });
+    
+    await this.saveWebhookDeliveries();
+    await this.processWebhookQueue();
   }
 
-  async callWebhook(webhook, eventType, data) {
-    try {
-      const payload = {
+  getWebhookSettings() {
+    return {
+      ...DEFAULT_WEBHOOK_SETTINGS,
+      ...(this.config && this.config.webhooks)
+    };
+  }
+
+  // Queue a delivery record for a webhook
+  createDelivery(webhook, eventType, data, options = {}) {
+    const settings = this.getWebhookSettings();
+    const delivery = {
+      id: crypto.randomBytes(8).toString('hex'),
+      webhookId: webhook.id,
+      event: eventType,
+      payload: {
         event: eventType,
         data,
         timestamp: new Date().toISOString()
-      };
-      
-      // Calculate signature if secret provided
-      let headers = { 'Content-Type': 'application/json' };
-      if (webhook.secret) {
-        const signature = crypto
-          .createHmac('sha256', webhook.secret)
-          .update(JSON.stringify(payload))
-          .digest('hex');
-        headers['X-Calendar-Signature'] = signature;
+      },
+      status: 'pending',
+      attempts: [],
+      maxAttempts: options.maxAttempts || settings.maxAttempts,
+      nextAttemptAt: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+      ...(options.redeliveryOf && { redeliveryOf: options.redeliveryOf })
+    };
+    
+    this.webhookDeliveries.push(delivery);
+    this.pruneWebhookDeliveries();
+    return delivery;
+  }
+
+  // Keep the delivery log bounded, never dropping pending deliveries
+  pruneWebhookDeliveries() {
+    const limit = this.getWebhookSettings().deliveryLogLimit;
+    let excess = this.webhookDeliveries.length - limit;
+    if (excess <= 0) return;
+    
+    this.webhookDeliveries = this.webhookDeliveries.filter(delivery => {
+      if (excess > 0 && delivery.status !== 'pending') {
+        excess--;
+        return false;
       }
-      
-      // In production, use fetch or axios
-      console.log(`Webhook called: ${webhook.url}`, payload);
-    } catch (error) {
-      console.error('Webhook error:', error);
-    }
+      return true;
+    });
   }
 
-  // Notification tracking
-  async loadNotifications() {
+  // Deliver every pending delivery whose retry time has come. One run at a
+  // time: a call during a run makes it look for due deliveries once more
+  // when it finishes. Deliveries to disabled webhooks wait until the webhook
+  // is enabled again.
+  async processWebhookQueue() {
+    if (this.processingWebhooks) {
+      this.webhookQueueRequested = true;
+      return;
+    }
+    this.processingWebhooks = true;
+    
     try {
-      const data = await fs.readFile(NOTIFICATIONS_FILE, 'utf8');
-      this.notifications = JSON.parse(data);
-    } catch {
-      this.notifications = [];
+      do {
+        this.webhookQueueRequested = false;
+        const now = Date.now();
+        const due = this.webhookDeliveries.filter(d => 
+          d.status === 'pending' &&
+          new Date(d.nextAttemptAt).getTime() <= now
+        );
+        
+        for (const delivery of due) {
+          // A delivery can be finished, or its webhook disabled, by the time
+          // its turn comes
+          const webhook = this.webhooks.find(w => w.id === delivery.webhookId);
+          if (webhook && webhook.active === false) continue;
+          await this.attemptDelivery(delivery);
+        }
+      } while (this.webhookQueueRequested);
+    } finally {
+      this.processingWebhooks = false;
     }
   }
 
-  async addNotification(notification) {
-    const newNotification = {
-      id: Date.now().toString(),
-      ...notification,
-      sentAt: new Date().toISOString()
+  // Make one HTTP attempt for a delivery and schedule a retry on failure
+  async attemptDelivery(delivery) {
+    // Already delivered, given up on, or being attempted right now
+    if (delivery.status !== 'pending' || this.activeDeliveries.has(delivery.id)) {
+      return delivery;
+    }
+    
+    const webhook = this.webhooks.find(w => w.id === delivery.webhookId);
+    if (!webhook) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      await this.saveWebhookDeliveries();
+      return delivery;
+    }
+    
+    const settings = this.getWebhookSettings();
+    const body = JSON.stringify(delivery.payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Calendar-Webhook/2.0',
+      'X-Calendar-Event': delivery.event,
+      'X-Calendar-Delivery': delivery.id
     };
-    this.notifications.push(newNotification);
     
-    // Keep only last 1000 notifications
-    if (this.notifications.length > 1000) {
-      this.notifications = this.notifications.slice(-1000);
+    // Calculate signature if secret provided
+    if (webhook.secret) {
+      headers['X-Calendar-Signature'] = crypto
+        .createHmac('sha256', webhook.secret)
+        .update(body)
+        .digest('hex');
     }
     
-    await this.saveNotifications();
-    return newNotification;
-  }
-
-  async saveNotifications() {
-    await fs.writeFile(NOTIFICATIONS_FILE, JSON.stringify(this.notifications, null, 2));
+    this.activeDeliveries.add(delivery.id);
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt).toISOString() };
+    
+    try {
+      const { statusCode } = await postJson(webhook.url, body, headers, settings.timeoutMs);
+      attempt.statusCode = statusCode;
+      if (statusCode < 200 || statusCode >= 300) {
+        attempt.error = `HTTP ${statusCode}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    } finally {
+      attempt.durationMs = Date.now() - startedAt;
+      this.activeDeliveries.delete(delivery.id);
+    }
+    
+    delivery.attempts.push(attempt);
+    
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date().toISOString();
+      delivery.nextAttemptAt = null;
+      await this.recordWebhookResult(webhook, delivery, true);
+    } else if (delivery.attempts.length >= delivery.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      console.error(`Webhook delivery ${delivery.id} to ${webhook.url} failed: ${attempt.error}`);
+      await this.recordWebhookResult(webhook, delivery, false);
+    } else {
+      // Exponential backoff: base, 2x base, 4x base ... capped
+      const backoff = Math.min(
+        settings.backoffBaseMs * Math.pow(2, delivery.attempts.length - 1),
+        settings.backoffMaxMs
+      );
+      delivery.nextAttemptAt = new Date(Date.now() + backoff).toISOString();
+    }
+    
+    await this.saveWebhookDeliveries();
+    return delivery;
   }
 
-  // Generate iCal format
-  generateICal() {
-    let ical = [
-      'BEGIN:VCALENDAR',
-      'VERSION:2.0',
-      'PRODID:-//Calendar App//EN',
-      'CALSCALE:GREGORIAN',
-      'METHOD:PUBLISH'
-    ];
+  // Track consecutive failures and disable endpoints that keep failing
+  async recordWebhookResult(webhook, delivery, succeeded) {
+    // Test pings don't count towards the endpoint's health
+    if (delivery.event === 'ping') return;
     
-    this.events.forEach(event => {
-      const eventDate = event.date.replace(/-/g, '');
-      const eventTime = event.time ? event.time.replace(/:/g, '') + '00' : '000000';
+    if (succeeded) {
+      if (!webhook.failureCount) return;
+      webhook.failureCount = 0;
+    } else {
+      webhook.failureCount = (webhook.failureCount || 0) + 1;
+      webhook.lastFailureAt = new Date().toISOString();
       
-      ical.push('BEGIN:VEVENT');
-      ical.push(`UID:${event.id}@calendar.app`);
-      ical.push(`DTSTAMP:${new Date().toISOString().replace(/[-:]/g, '').split('.')[0]}Z`);
-      ical.push(`DTSTART:${eventDate}T${eventTime}`);
-      ical.push(`SUMMARY:${event.title}`);
-      if (event.description) {
-        ical.push(`DESCRIPTION:${event.description.replace(/\n/g, '\\n')}`);
+      const threshold = this.getWebhookSettings().disableAfterFailures;
+      if (threshold > 0 && webhook.failureCount >= threshold && webhook.active !== false) {
+        webhook.active = false;
+        webhook.disabledAt = new Date().toISOString();
+        console.warn(`Webhook ${webhook.id} disabled after ${webhook.failureCount} failed deliveries`);
       }
-      if (event.location) {
-        ical.push(`LOCATION:${event.location}`);
-      }
-      ical.push('END:VEVENT');
-    });
+    }
     
-    ical.push('END:VCALENDAR');
-    return ical.join('\r\n');
+    await this.saveWebhooks();
   }
 
-  // API key management
-  generateApiKey() {
-    const key = crypto.randomBytes(32).toString('hex');
-    const keyData = {
-      key,
+  // Recent deliveries for a webhook, newest first
+  getWebhookDeliveries(webhookId, limit = 50) {
+    return this.webhookDeliveries
+      .filter(d => d.webhookId === webhookId)
+      .slice(-limit)
+      .reverse();
+  }
+
+  // Queue a fresh delivery with the payload of an earlier one
+  async redeliverWebhook(webhookId, deliveryId) {
+    const webhook = this.webhooks.find(w => w.id === webhookId);
+    const original = this.webhookDeliveries.find(d => 
+      d.id === deliveryId && d.webhookId === webhookId
+    );
+    if (!webhook || !original) return null;
+    
+    const delivery = this.createDelivery(webhook, original.event, original.payload.data, {
+      redeliveryOf: original.id
+    });
+    return this.attemptDelivery(delivery);
+  }
+
+  // Send a single test delivery and report the result
+  async pingWebhook(webhookId) {
+    const webhook = this.webhooks.find(w => w.id === webhookId);
+    if (!webhook) return null;
+    
+    const delivery = this.createDelivery(webhook, 'ping', {
+      webhookId: webhook.id,
+      message: 'Webhook test from calendar server'
+    }, { maxAttempts: 1 });
+    return this.attemptDelivery(delivery);
+  }
+
+  // Re-enable a webhook that was disabled after repeated failures
+  async enableWebhook(webhookId) {
+    const webhook = this.webhooks.find(w => w.id === webhookId);
+    if (!webhook) return null;
+    
+    webhook.active = true;
+    webhook.failureCount = 0;
+    delete webhook.disabledAt;
+    await this.saveWebhooks();
+    
+    // Send what queued up while it was disabled
+    this.processWebhookQueue().catch(error => {
+      console.error('Webhook queue error:', error);
+    });
+    return webhook;
+  }
+
+  // The delivery log is only history, so an unreadable one starts over
+  async loadWebhookDeliveries() {
+    try {
+      this.webhookDeliveries = await this.store.loadList('webhookDeliveries');
+    } catch (error) {
+      console.error('Error loading webhook deliveries:', error.message);
+      this.webhookDeliveries = [];
+    }
+  }
+
+  async saveWebhookDeliveries() {
+    await this.store.saveList('webhookDeliveries', this.webhookDeliveries);
+  }
+
+  // Notification tracking
+  async loadNotifications() {
+    this.notifications = await this.store.loadList('notifications');
+  }
+
+  async addNotification(notification) {
+    const [newNotification] = await this.addNotifications([notification]);
+    return newNotification;
+  }
+
+  async addNotifications(notifications) {
+    const sentAt = new Date().toISOString();
+    const added = notifications.map((notification, i) => ({
+      id: `${Date.now()}${notifications.length > 1 ? `-${i}` : ''}`,
+      ...notification,
+      sentAt
+    }));
+    this.notifications.push(...added);
+    
+    // Keep only last 1000 notifications
+    if (this.notifications.length > 1000) {
+      this.notifications = this.notifications.slice(-1000);
+    }
+    
+    await this.saveNotifications();
+    return added;
+  }
+
+  // Reminder settings (REMINDER_DEFAULTS merged with config.json "reminders")
+  getReminderSettings() {
+    return {
+      ...REMINDER_DEFAULTS,
+      ...(this.config && this.config.reminders)
+    };
+  }
+
+  async loadFiredReminders() {
+    const fired = await this.store.loadList('firedReminders');
+    this.firedReminders = new Map(fired.map(entry => [entry.key, entry]));
+  }
+
+  async saveFiredReminders(now = Date.now()) {
+    const fired = pruneFired([...this.firedReminders.values()], now);
+    this.firedReminders = new Map(fired.map(entry => [entry.key, entry]));
+    await this.store.saveList('firedReminders', fired);
+  }
+
+  // Fire the reminders that are due (see reminders.js). Each is recorded as
+  // fired before it is delivered, so none is sent twice.
+  async checkReminders(now = Date.now()) {
+    if (this.checkingReminders) return [];
+    this.checkingReminders = true;
+    
+    try {
+      const settings = this.getReminderSettings();
+      const lookaheadMs = maxOffsetMinutes(this.events) * 60000;
+      const occurrences = this.getEventsInRange(new Date(now - STARTED_GRACE_MS), new Date(now + lookaheadMs));
+      const due = findDueReminders(occurrences, {
+        now,
+        fired: this.firedReminders,
+        homeZone: this.getHomeTimeZone(),
+        settings
+      });
+      if (due.length === 0) return [];
+      
+      const firedAt = new Date(now).toISOString();
+      due.forEach(({ key, event, channel, offset, start }) => {
+        this.firedReminders.set(key, {
+          key,
+          eventId: event.id,
+          channel,
+          offset,
+          start: new Date(start).toISOString(),
+          firedAt
+        });
+      });
+      await this.saveFiredReminders(now);
+      
+      const reminders = due.map(({ event, channel, offset, remindAt, start, late }) => ({
+        ...event,
+        channel,
+        offset,
+        remindAt: new Date(remindAt).toISOString(),
+        late,
+        minutesUntil: Math.max(0, Math.round((start - now) / 60000)),
+        notificationTime: firedAt
+      }));
+      await this.deliverReminders(reminders);
+      return reminders;
+    } finally {
+      this.checkingReminders = false;
+    }
+  }
+
+  // Push reminders go to open calendars and to subscribed browsers (Web
+  // Push), and email reminders are mailed when email is enabled. Every
+  // reminder also goes to event.reminder webhooks, which is how other
+  // channels reach an external sender.
+  async deliverReminders(reminders) {
+    const push = reminders.filter(reminder => reminder.channel === 'push');
+    if (push.length > 0) {
+      this.broadcast({
+        type: 'reminders-due',
+        data: push
+      });
+      this.pushToSubscribers(push.map(reminder => this.reminderPushPayload(reminder))).catch(error => {
+        console.error('Web Push error:', error);
+      });
+    }
+    
+    reminders.forEach(reminder => {
+      this.triggerWebhooks('event.reminder', reminder).catch(error => {
+        console.error('Webhook error:', error);
+      });
+    });
+    
+    // Emails are logged per recipient as they are sent (retries can take a while)
+    const emailEnabled = this.getEmailSettings().enabled;
+    reminders
+      .filter(reminder => reminder.channel === 'email' && emailEnabled)
+      .forEach(reminder => {
+        this.sendEmailReminder(reminder).catch(error => {
+          console.error('Email reminder error:', error);
+        });
+      });
+    
+    await this.addNotifications(reminders
+      .filter(reminder => reminder.channel !== 'email' || !emailEnabled)
+      .map(reminder => ({
+        ...this.reminderDetails(reminder),
+        method: reminder.channel,
+        status: reminder.channel === 'push' ? 'sent' : 'forwarded'
+      })));
+  }
+
+  reminderDetails(reminder) {
+    return {
+      eventId: reminder.id,
+      offset: reminder.offset,
+      occurrenceDate: reminder.originalDate || reminder.date
+    };
+  }
+
+  // Email settings (EMAIL_DEFAULTS merged with config.json "email"). The
+  // SMTP password may come from the SMTP_PASSWORD environment variable.
+  getEmailSettings() {
+    const configured = (this.config && this.config.email) || {};
+    const smtp = { ...EMAIL_DEFAULTS.smtp, ...configured.smtp };
+    if (process.env.SMTP_PASSWORD) smtp.password = process.env.SMTP_PASSWORD;
+    return {
+      ...EMAIL_DEFAULTS,
+      ...configured,
+      to: [].concat(configured.to || EMAIL_DEFAULTS.to),
+      smtp
+    };
+  }
+
+  // Mail a reminder, with the event (just this occurrence for a recurring
+  // one) attached as an .ics file
+  async sendEmailReminder(reminder) {
+    const { recurrence, exdates, overrides, originalDate, ...event } = reminder;
+    if (originalDate) event.uid = `${reminder.id}-${originalDate}@calendar.app`;
+    
+    const email = composeReminderEmail(reminder, {
+      ical: this.generateICal([event]),
+      homeZone: this.getHomeTimeZone()
+    });
+    const details = this.reminderDetails(reminder);
+    return Promise.all(this.getEmailSettings().to.map(recipient => this.sendEmail(recipient, email, details)));
+  }
+
+  // Web Push settings (PUSH_DEFAULTS merged with config.json "push")
+  getPushSettings() {
+    return {
+      ...PUSH_DEFAULTS,
+      ...(this.config && this.config.push)
+    };
+  }
+
+  // The VAPID key pair identifies this server to push services. It is
+  // generated on first start and kept, since browsers subscribed with its
+  // public key; VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY override it.
+  async loadPushState() {
+    this.pushSubscriptions = await this.store.loadList('pushSubscriptions');
+    
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+      this.vapidKeys = {
+        publicKey: process.env.VAPID_PUBLIC_KEY,
+        privateKey: process.env.VAPID_PRIVATE_KEY
+      };
+      return;
+    }
+    
+    const [keys] = await this.store.loadList('vapidKeys');
+    if (keys) {
+      this.vapidKeys = keys;
+      return;
+    }
+    this.vapidKeys = { ...generateVapidKeys(), createdAt: new Date().toISOString() };
+    await this.store.saveList('vapidKeys', [this.vapidKeys]);
+    console.log('🔑 Generated VAPID keys for Web Push');
+  }
+
+  async savePushSubscriptions() {
+    await this.store.saveList('pushSubscriptions', this.pushSubscriptions);
+  }
+
+  // What the API shows of a subscription (the endpoint and keys stay private)
+  publicPushSubscription(subscription) {
+    const { endpoint, keys, ...rest } = subscription;
+    return { ...rest, service: new URL(endpoint).host };
+  }
+
+  // Add a browser's subscription, or refresh it when the endpoint is already
+  // known. previousEndpoint drops the subscription it replaces.
+  async savePushSubscription(subscription, { deviceName, userAgent, previousEndpoint } = {}) {
+    if (previousEndpoint && previousEndpoint !== subscription.endpoint) {
+      const previous = this.pushSubscriptions.find(s => s.endpoint === previousEndpoint);
+      this.pushSubscriptions = this.pushSubscriptions.filter(s => s !== previous);
+      deviceName = deviceName || (previous && previous.deviceName);
+    }
+    
+    let record = this.pushSubscriptions.find(s => s.endpoint === subscription.endpoint);
+    if (!record) {
+      record = {
+        id: crypto.randomBytes(8).toString('hex'),
+        endpoint: subscription.endpoint,
+        createdAt: new Date().toISOString(),
+        failureCount: 0
+      };
+      this.pushSubscriptions.push(record);
+    }
+    Object.assign(record, {
+      keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+      expirationTime: subscription.expirationTime || null,
+      deviceName: deviceName || record.deviceName || 'Browser',
+      userAgent: userAgent || record.userAgent || null,
+      updatedAt: new Date().toISOString()
+    });
+    
+    await this.savePushSubscriptions();
+    return record;
+  }
+
+  async removePushSubscription(id) {
+    const subscription = this.pushSubscriptions.find(s => s.id === id);
+    if (!subscription) return null;
+    this.pushSubscriptions = this.pushSubscriptions.filter(s => s !== subscription);
+    await this.savePushSubscriptions();
+    return subscription;
+  }
+
+  // What a subscribed browser shows for a push reminder (see service-worker.js)
+  reminderPushPayload(reminder) {
+    const when = describeWhen(reminder, this.getHomeTimeZone());
+    return {
+      type: 'reminder',
+      title: `⏰ ${reminder.title}`,
+      body: reminder.location ? `${when}\n${reminder.location}` : when,
+      // Same key as the page's reminder toasts, so a device shows each once
+      tag: `${reminder.id}:${reminder.date}:${reminder.time}:${reminder.offset}`,
+      url: '/',
+      eventId: reminder.id,
+      date: reminder.date
+    };
+  }
+
+  // POST one encrypted message to a subscription and record how it went.
+  // Resolves with { subscriptionId, statusCode, error }.
+  async sendPushMessage(subscription, payload) {
+    const settings = this.getPushSettings();
+    const result = { subscriptionId: subscription.id, statusCode: null, error: null };
+    
+    try {
+      const { body, headers } = buildPushRequest(subscription, JSON.stringify(payload), {
+        vapidKeys: this.vapidKeys,
+        subject: settings.subject,
+        ttlSeconds: settings.ttlSeconds
+      });
+      const { statusCode } = await postJson(subscription.endpoint, body, headers, settings.timeoutMs);
+      result.statusCode = statusCode;
+      if (statusCode < 200 || statusCode >= 300) {
+        result.error = `HTTP ${statusCode}`;
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+    
+    if (result.error) {
+      subscription.failureCount = (subscription.failureCount || 0) + 1;
+      subscription.lastFailureAt = new Date().toISOString();
+      subscription.lastError = result.error;
+    } else {
+      subscription.failureCount = 0;
+      subscription.lastSuccessAt = new Date().toISOString();
+    }
+    return result;
+  }
+
+  // Send payloads to every subscribed browser, then drop the subscriptions
+  // that are gone (404/410 from the push service), expired, or failed
+  // push.maxFailures times in a row
+  async pushToSubscribers(payloads, subscriptions = this.pushSubscriptions) {
+    if (subscriptions.length === 0 || payloads.length === 0) return [];
+    
+    const now = Date.now();
+    const gone = new Set();
+    const results = await Promise.all(subscriptions.map(async subscription => {
+      const sent = [];
+      if (subscription.expirationTime && subscription.expirationTime < now) {
+        gone.add(subscription);
+        return sent;
+      }
+      for (const payload of payloads) {
+        const result = await this.sendPushMessage(subscription, payload);
+        sent.push(result);
+        if (result.statusCode === 404 || result.statusCode === 410) {
+          gone.add(subscription);
+          break;
+        }
+      }
+      if (subscription.failureCount >= this.getPushSettings().maxFailures) {
+        gone.add(subscription);
+      }
+      return sent;
+    }));
+    
+    if (gone.size > 0) {
+      gone.forEach(subscription => {
+        console.log(`Removed push subscription ${subscription.id} (${subscription.deviceName}): ${subscription.lastError || 'expired'}`);
+      });
+      this.pushSubscriptions = this.pushSubscriptions.filter(s => !gone.has(s));
+    }
+    await this.savePushSubscriptions();
+    return results.flat();
+  }
+
+  // Emails sent per recipient and day (home time), kept apart from the
+  // notification history so trimming or flooding that can't reset the limit
+  async loadEmailCounts() {
+    const counts = await this.store.loadList('emailCounts');
+    this.emailCounts = new Map(counts.map(entry => [`${entry.date} ${entry.recipient}`, entry]));
+  }
+
+  // Only today's counts matter; earlier days are dropped on save
+  async saveEmailCounts() {
+    const today = this.getToday();
+    const counts = [...this.emailCounts.values()].filter(entry => entry.date === today);
+    this.emailCounts = new Map(counts.map(entry => [`${entry.date} ${entry.recipient}`, entry]));
+    await this.store.saveList('emailCounts', counts);
+  }
+
+  async countEmailSent(recipient) {
+    const date = this.getToday();
+    const key = `${date} ${recipient}`;
+    const entry = this.emailCounts.get(key) || { date, recipient, count: 0 };
+    this.emailCounts.set(key, { ...entry, count: entry.count + 1 });
+    await this.saveEmailCounts();
+  }
+
+  // Emails sent (or being sent) to a recipient today, home time
+  emailsSentToday(recipient) {
+    const entry = this.emailCounts.get(`${this.getToday()} ${recipient}`);
+    return (entry ? entry.count : 0) + (this.emailsInFlight.get(recipient) || 0);
+  }
+
+  // Send one email, retrying temporary failures, and log the outcome with
+  // addNotification. Resolves with the notification record.
+  async sendEmail(recipient, email, details = {}) {
+    const settings = this.getEmailSettings();
+    const record = { ...details, method: 'email', recipient };
+    
+    if (this.emailsSentToday(recipient) >= settings.dailyLimitPerRecipient) {
+      return this.addNotification({ ...record, status: 'skipped', error: 'Daily email limit reached' });
+    }
+    
+    this.emailsInFlight.set(recipient, (this.emailsInFlight.get(recipient) || 0) + 1);
+    let attempts = 0;
+    let lastError = null;
+    try {
+      while (attempts < settings.maxAttempts) {
+        attempts++;
+        try {
+          await sendMail(settings.smtp, {
+            from: settings.from,
+            to: recipient,
+            message: buildMessage({ ...email, from: settings.from, to: recipient })
+          });
+          lastError = null;
+          break;
+        } catch (error) {
+          lastError = error;
+          if (!error.temporary || attempts >= settings.maxAttempts) break;
+          const wait = settings.retryDelayMs * Math.pow(2, attempts - 1);
+          await new Promise(resolve => setTimeout(resolve, wait));
+        }
+      }
+    } finally {
+      this.emailsInFlight.set(recipient, this.emailsInFlight.get(recipient) - 1);
+    }
+    
+    if (lastError) {
+      console.error(`Email to ${recipient} failed: ${lastError.message}`);
+    } else {
+      await this.countEmailSent(recipient);
+    }
+    return this.addNotification({
+      ...record,
+      status: lastError ? 'failed' : 'sent',
+      attempts,
+      ...(lastError && { error: lastError.message })
+    });
+  }
+
+  async saveNotifications() {
+    await this.store.saveList('notifications', this.notifications);
+  }
+
+  // Generate iCal format (CalDAV resources are generated without a METHOD)
+  generateICal(events = this.events, options = {}) {
+    let ical = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Calendar App//EN',
+      'CALSCALE:GREGORIAN'
+    ];
+    if (options.method !== false) {
+      ical.push('METHOD:PUBLISH');
+    }
+    
+    const dtstamp = `${new Date().toISOString().replace(/[-:]/g, '').split('.')[0]}Z`;
+    const homeZone = this.getHomeTimeZone();
+    
+    // Timed values carry the event's TZID; untimed events are all-day DATE values
+    const zoneYears = new Map();
+    const dateProperty = (name, event, dates, time) => {
+      if (!time) {
+        return `${name};VALUE=DATE:${dates.map(date => date.replace(/-/g, '')).join(',')}`;
+      }
+      const timeZone = event.timeZone || homeZone;
+      const year = Number(dates[0].slice(0, 4));
+      zoneYears.set(timeZone, Math.min(year, zoneYears.get(timeZone) || year));
+      const values = dates.map(date => `${date.replace(/-/g, '')}T${time.replace(/:/g, '')}00`);
+      return `${name};TZID=${timeZone}:${values.join(',')}`;
+    };
+    
+    const vevents = [];
+    const pushEvent = (event, extraLines = []) => {
+      vevents.push('BEGIN:VEVENT');
+      vevents.push(`UID:${event.uid || `${event.id}@calendar.app`}`);
+      vevents.push(`DTSTAMP:${dtstamp}`);
+      vevents.push(dateProperty('DTSTART', event, [event.date], event.time));
+      if (event.time && event.endTime) {
+        vevents.push(dateProperty('DTEND', event, [event.endDate || event.date], event.endTime));
+      } else if (!event.time && event.endDate && event.endDate !== event.date) {
+        // All-day DTEND is exclusive
+        vevents.push(dateProperty('DTEND', event, [addDays(event.endDate, 1)], null));
+      }
+      vevents.push(...extraLines);
+      vevents.push(`SUMMARY:${escapeText(event.title)}`);
+      if (event.description) {
+        vevents.push(`DESCRIPTION:${escapeText(event.description)}`);
+      }
+      if (event.location) {
+        vevents.push(`LOCATION:${escapeText(event.location)}`);
+      }
+      if (event.type) {
+        vevents.push(`CATEGORIES:${escapeText(event.type)}`);
+      }
+      vevents.push('END:VEVENT');
+    };
+    
+    events.forEach(event => {
+      if (!event.recurrence) {
+        pushEvent(event);
+        return;
+      }
+      
+      // UNTIL must be a DATE for all-day events and UTC for zoned ones
+      const { until } = event.recurrence;
+      const untilValue = until && (event.time
+        ? `${new Date(toTimestamp(until, '23:59', event.timeZone || homeZone) + 59000)
+          .toISOString().replace(/[-:]/g, '').split('.')[0]}Z`
+        : until.replace(/-/g, ''));
+      const ruleLines = [`RRULE:${formatRRule(event.recurrence, untilValue)}`];
+      if (event.exdates && event.exdates.length > 0) {
+        ruleLines.push(dateProperty('EXDATE', event, event.exdates, event.time));
+      }
+      pushEvent(event, ruleLines);
+      
+      // Modified occurrences are separate VEVENTs sharing the series UID
+      Object.entries(event.overrides || {}).forEach(([date, override]) => {
+        const endDate = occurrenceEndDate(event, override.date || date);
+        pushEvent(
+          { ...event, date, ...(endDate && { endDate }), ...override },
+          [dateProperty('RECURRENCE-ID', event, [date], event.time)]
+        );
+      });
+    });
+    
+    zoneYears.forEach((year, timeZone) => {
+      ical.push(...vtimezoneLines(timeZone, year));
+    });
+    ical.push(...vevents);
+    ical.push('END:VCALENDAR');
+    return ical.map(foldLine).join('\r\n');
+  }
+
+  // Import VEVENTs from iCalendar text, creating or updating events by UID
+  async importICal(text, options = {}) {
+    const eventTypes = await this.getEventTypes();
+    const defaultType = options.defaultType || eventTypes[0] || 'personal';
+    const { items, skipped } = parseEvents(text, {
+      defaultType,
+      eventTypes,
+      timeZone: this.getHomeTimeZone()
+    });
+    const report = { created: [], updated: [], skipped };
+    const seenUids = new Set();
+    
+    for (const item of items) {
+      const { uid } = item;
+      const { value: event, errors } = validateEvent(item.event, { eventTypes });
+      if (errors.length > 0) {
+        report.skipped.push({ uid, title: item.event.title, reason: formatErrors(errors) });
+        continue;
+      }
+      
+      if (uid && seenUids.has(uid)) {
+        report.skipped.push({ uid, title: event.title, reason: 'Duplicate UID' });
+        continue;
+      }
+      if (uid) seenUids.add(uid);
+      
+      const existing = this.findEventByUid(uid);
+      if (!existing) {
+        const created = options.dryRun ? null : await this.addEvent({ ...event, ...(uid && { uid }) }, { actor: options.actor });
+        report.created.push({ uid, id: created ? created.id : null, title: event.title });
+        continue;
+      }
+      
+      const changes = diffEvent(existing, event);
+      if (Object.keys(changes).length === 0) {
+        report.skipped.push({ uid, id: existing.id, title: event.title, reason: 'Unchanged' });
+        continue;
+      }
+      
+      if (!options.dryRun) {
+        await this.updateEvent(existing.id, changes, { actor: options.actor });
+      }
+      report.updated.push({ uid, id: existing.id, title: event.title, fields: Object.keys(changes) });
+    }
+    
+    return report;
+  }
+
+  // API key management (only SHA-256 hashes of keys are stored)
+  hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  async loadApiKeys() {
+    const keys = await this.store.loadList('apiKeys');
+    this.apiKeys = new Map(keys.map(keyData => [keyData.hash, keyData]));
+  }
+
+  async saveApiKeys() {
+    if (this.apiKeysWriteTimer) {
+      clearTimeout(this.apiKeysWriteTimer);
+      this.apiKeysWriteTimer = null;
+    }
+    await this.store.saveList('apiKeys', [...this.apiKeys.values()]);
+  }
+
+  // Usage stats change on every request, so their writes are batched
+  queueApiKeysSave() {
+    if (this.apiKeysWriteTimer) return;
+    this.apiKeysWriteTimer = setTimeout(() => {
+      this.saveApiKeys().catch(error => console.error('Error writing API keys:', error));
+    }, 5000);
+  }
+
+  async generateApiKey({ name, scopes = DEFAULT_API_KEY_SCOPES, expiresAt = null } = {}) {
+    const key = crypto.randomBytes(32).toString('hex');
+    const keyData = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name: name || 'Unnamed key',
+      hash: this.hashApiKey(key),
+      prefix: key.slice(0, 8),
+      scopes,
       createdAt: new Date().toISOString(),
+      expiresAt,
+      revokedAt: null,
       lastUsed: null,
       requests: 0
     };
-    this.apiKeys.set(key, keyData);
-    return key;
+    this.apiKeys.set(keyData.hash, keyData);
+    await this.saveApiKeys();
+    return { key, keyData };
   }
 
-  validateApiKey(key) {
-    if (!this.apiKeys.has(key)) return false;
-    const keyData = this.apiKeys.get(key);
-    keyData.lastUsed = new Date().toISOString();
-    keyData.requests++;
-    return true;
+  listApiKeys() {
+    return [...this.apiKeys.values()].map(({ hash, ...keyData }) => ({
+      ...keyData,
+      active: this.isApiKeyActive(keyData)
+    }));
   }
 
-  // Utility methods
-  queueWrite() {
-    if (this.writeTimer) {
-      clearTimeout(this.writeTimer);
+  async revokeApiKey(id) {
+    const keyData = [...this.apiKeys.values()].find(k => k.id === id);
+    if (!keyData) return null;
+    
+    if (!keyData.revokedAt) {
+      keyData.revokedAt = new Date().toISOString();
+      await this.saveApiKeys();
     }
-    this.writeTimer = setTimeout(() => {
-      this.writeEvents();
-    }, 1000);
+    return keyData;
   }
 
-  async writeEvents() {
-    try {
-      await fs.writeFile(DATA_FILE, JSON.stringify({ 
-        events: this.events,
-        lastModified: new Date().toISOString()
-      }, null, 2));
-      this.lastModified.events = Date.now();
-      return true;
-    } catch (error) {
-      console.error('Error writing events:', error);
-      return false;
+  isApiKeyActive(keyData) {
+    return !keyData.revokedAt &&
+      (!keyData.expiresAt || new Date(keyData.expiresAt) > new Date());
+  }
+
+  // Look up an active key without recording usage
+  findApiKey(key) {
+    // Digests have a fixed length, so the comparison never sees buffers of
+    // different sizes (multibyte keys included)
+    const hash = this.hashApiKey(key);
+    if (ADMIN_TOKEN && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(this.hashApiKey(ADMIN_TOKEN)))) {
+      return { id: 'admin-token', name: 'Admin token', scopes: ['admin'] };
     }
+    
+    const keyData = this.apiKeys.get(hash);
+    return keyData && this.isApiKeyActive(keyData) ? keyData : null;
+  }
+
+  // Resolve a presented key to its record, or null if unknown, revoked or expired
+  authenticateApiKey(key) {
+    const keyData = this.findApiKey(key);
+    if (!keyData || keyData.id === 'admin-token') return keyData;
+    
+    keyData.lastUsed = new Date().toISOString();
+    keyData.requests++;
+    this.queueApiKeysSave();
+    return keyData;
+  }
+
+  hasScope(keyData, scope) {
+    return keyData.scopes.includes('admin') || keyData.scopes.includes(scope);
+  }
+
+  validateApiKey(key, scope) {
+    const keyData = this.authenticateApiKey(key);
+    return Boolean(keyData && (!scope || this.hasScope(keyData, scope)));
   }
 
   async getConfig() {
@@ -432,11 +1814,22 @@ class DataCache {
     return this.config;
   }
 
+  // Event type values allowed by config.eventTypes
+  async getEventTypes() {
+    const config = await this.getConfig();
+    return ((config && config.eventTypes) || []).map(t => t.value);
+  }
+
   async loadConfig() {
     try {
       const data = await fs.readFile(CONFIG_FILE, 'utf8');
       this.config = JSON.parse(data);
       this.lastModified.config = Date.now();
+      
+      // Day buckets depend on the home time zone
+      if (this.events && this.indexTimeZone !== this.getHomeTimeZone()) {
+        this.rebuildIndex();
+      }
       return this.config;
     } catch (error) {
       console.error('Error loading config:', error);
@@ -447,60 +1840,149 @@ class DataCache {
 
 // Initialize cache
 const cache = new DataCache();
+const rateLimiter = new RateLimiter(RATE_LIMITS_FILE, () => cache.config && cache.config.rateLimits);
+
+// Honor X-Forwarded-For from a reverse proxy on the same machine
+app.set('trust proxy', 'loopback');
 
 // Middleware
 app.use(compression());
-app.use(cors());
+app.use(cors({ exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'] }));
 app.use(express.json());
 
-// API key validation middleware
-const requireApiKey = (req, res, next) => {
+// Rate limits count per API key when a valid one is presented, otherwise per IP
+const identifyClient = (req) => {
   const apiKey = req.headers['x-api-key'] || req.query.apiKey;
-  if (apiKey && cache.validateApiKey(apiKey)) {
-    next();
-  } else {
-    res.status(401).json({ error: 'Invalid or missing API key' });
-  }
+  const keyData = apiKey && cache.findApiKey(String(apiKey));
+  return keyData
+    ? { tier: 'apiKey', id: keyData.id }
+    : { tier: 'anonymous', id: req.ip };
 };
 
-// Optional API key middleware (allows both authenticated and public access)
-const optionalApiKey = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'] || req.query.apiKey;
-  if (apiKey) {
-    cache.validateApiKey(apiKey);
+app.use('/api', rateLimiter.middleware('default', identifyClient));
+const heavyRateLimit = rateLimiter.middleware('heavy', identifyClient);
+
+// Check a presented API key against a scope, setting req.apiKey on success.
+// The scope may be a function of the request.
+const checkApiKey = (req, res, next, apiKey, scope) => {
+  const keyData = cache.authenticateApiKey(String(apiKey));
+  if (!keyData) {
+    return res.status(401).json({ success: false, error: 'Invalid or missing API key' });
+  }
+  
+  const requiredScope = typeof scope === 'function' ? scope(req) : scope;
+  if (!cache.hasScope(keyData, requiredScope)) {
+    return res.status(403).json({ 
+      success: false, 
+      error: `API key lacks required scope: ${requiredScope}` 
+    });
   }
+  
+  req.apiKey = keyData;
   next();
 };
 
-// Static files
-app.use(express.static(__dirname, {
-  maxAge: '1d',
-  etag: true
-}));
+// API key validation middleware
+const requireApiKey = (scope) => (req, res, next) => {
+  const apiKey = req.headers['x-api-key'] || req.query.apiKey;
+  checkApiKey(req, res, next, apiKey || '', scope);
+};
+
+// Optional API key middleware (allows both authenticated and public access,
+// but a key that is presented must be valid and carry the scope)
+const optionalApiKey = (scope) => (req, res, next) => {
+  const apiKey = req.headers['x-api-key'] || req.query.apiKey;
+  if (!apiKey) return next();
+  checkApiKey(req, res, next, apiKey, scope);
+};
+
+// Field-level validation errors
+const sendValidationError = (res, errors) => {
+  res.status(400).json({ success: false, error: formatErrors(errors), errors });
+};
 
-// Initialize data files
-async function initDataFiles() {
+// A conditional write lost to a newer version; the current event lets the
+// client merge and retry
+const sendPreconditionFailed = (res, error) => {
+  if (error.current) res.set('ETag', eventETag(error.current));
+  res.status(412).json({ success: false, error: error.message, event: error.current || null });
+};
+
+// Event schema validation middleware (replaces req.body with the cleaned event).
+// Updates only check the fields sent, plus rules spanning the stored event.
+const validateEventBody = ({ partial = false, fields } = {}) => async (req, res, next) => {
   try {
-    await fs.access(DATA_FILE);
-  } catch {
-    await fs.writeFile(DATA_FILE, JSON.stringify({ 
-      events: [],
-      lastModified: new Date().toISOString()
-    }, null, 2));
+    await cache.getEvents();
+    const eventTypes = await cache.getEventTypes();
+    const existing = partial ? cache.events.find(e => e.id === req.params.id) : null;
+    const { value, errors } = validateEvent(req.body, {
+      partial,
+      existing,
+      fields,
+      eventTypes,
+      defaultType: eventTypes[0]
+    });
+    
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    req.body = value;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Conflict check middleware (?conflicts=reject|warn|ignore, default from config).
+// Sets req.conflicts, or answers 409 when overlaps are rejected.
+const checkConflicts = (req, res, next) => {
+  const mode = req.query.conflicts || cache.getSchedulingSettings().conflicts;
+  if (!CONFLICT_MODES.includes(mode)) {
+    return res.status(400).json({ 
+      success: false, 
+      error: `conflicts must be one of: ${CONFLICT_MODES.join(', ')}` 
+    });
   }
   
-  try {
-    await fs.access(WEBHOOKS_FILE);
-  } catch {
-    await fs.writeFile(WEBHOOKS_FILE, '[]');
+  req.conflicts = [];
+  if (mode === 'ignore') return next();
+  
+  let event = req.body;
+  if (req.params.id) {
+    const existing = cache.events.find(e => e.id === req.params.id);
+    const reschedules = TIMING_FIELDS.some(field => req.body[field] !== undefined);
+    if (!existing || !reschedules) return next();
+    
+    event = { ...existing, ...req.body };
+    Object.keys(event).forEach(field => {
+      if (event[field] === null) delete event[field];
+    });
   }
   
-  try {
-    await fs.access(NOTIFICATIONS_FILE);
-  } catch {
-    await fs.writeFile(NOTIFICATIONS_FILE, '[]');
+  req.conflicts = cache.findConflicts(event, req.params.id || null);
+  if (mode === 'reject' && req.conflicts.length > 0) {
+    return res.status(409).json({ 
+      success: false, 
+      error: `Event overlaps ${req.conflicts.length} existing event(s)`,
+      conflicts: req.conflicts
+    });
   }
-}
+  next();
+};
+
+// Static files
+STATIC_FILES.forEach(file => {
+  app.get(`/${file}`, (req, res) => {
+    res.sendFile(path.join(__dirname, file), { maxAge: '1d' });
+  });
+});
+
+// The service worker is always revalidated so updates reach clients
+app.get('/service-worker.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'service-worker.js'), {
+    headers: { 'Cache-Control': 'no-cache' }
+  });
+});
 
 // ============= API ENDPOINTS =============
 
@@ -517,6 +1999,7 @@ app.get('/api/health', async (req, res) => {
       todayEvents: cache.getTodayEvents().length,
       upcomingEvents: cache.getUpcomingEvents(7).length,
       webhooks: cache.webhooks.length,
+      storage: cache.store.name,
       wsClients: cache.wsClients.size,
       cacheAge: {
         events: cache.lastModified.events ? 
@@ -529,40 +2012,27 @@ app.get('/api/health', async (req, res) => {
   });
 });
 
-// Get all events (with optional filters)
-app.get('/api/events', optionalApiKey, async (req, res) => {
+// Query events (filters, sorting and cursor pagination; see event-query.js)
+app.get('/api/events', optionalApiKey('events:read'), async (req, res) => {
   try {
-    const { start, end, month, year, type, search, limit = 100, offset = 0 } = req.query;
-    let events = await cache.getEvents();
-    
-    // Apply filters
-    if (start && end) {
-      events = cache.getEventsInRange(start, end);
-    } else if (month && year) {
-      const startDate = `${year}-${String(month).padStart(2, '0')}-01`;
-      const endDate = new Date(year, month, 0).toISOString().split('T')[0];
-      events = cache.getEventsInRange(startDate, endDate);
+    const { query, errors } = parseEventQuery(req.query);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
     }
     
-    if (type) {
-      events = events.filter(e => e.type === type);
-    }
-    
-    if (search) {
-      events = cache.searchEvents(search);
-    }
-    
-    // Pagination
-    const total = events.length;
-    events = events.slice(Number(offset), Number(offset) + Number(limit));
+    await cache.getEvents();
+    const result = cache.queryEvents(query);
     
+    // Express answers 304 when If-None-Match still matches
+    res.set('ETag', listETag(cache.syncRevision, cache.lastModified.config, queryPageKey(query)));
     res.json({ 
       success: true, 
-      events,
-      total,
-      limit: Number(limit),
-      offset: Number(offset),
-      hasMore: total > Number(offset) + Number(limit)
+      events: result.events,
+      total: result.total,
+      limit: query.limit,
+      offset: query.after ? null : query.offset,
+      hasMore: result.hasMore,
+      nextCursor: result.nextCursor
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -570,7 +2040,7 @@ app.get('/api/events', optionalApiKey, async (req, res) => {
 });
 
 // Get today's events
-app.get('/api/events/today', optionalApiKey, async (req, res) => {
+app.get('/api/events/today', optionalApiKey('events:read'), async (req, res) => {
   try {
     await cache.getEvents();
     const events = cache.getTodayEvents();
@@ -578,7 +2048,8 @@ app.get('/api/events/today', optionalApiKey, async (req, res) => {
     res.json({ 
       success: true, 
       events,
-      date: new Date().toISOString().split('T')[0]
+      date: cache.getToday(),
+      timeZone: cache.getHomeTimeZone()
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -586,7 +2057,7 @@ app.get('/api/events/today', optionalApiKey, async (req, res) => {
 });
 
 // Get upcoming events
-app.get('/api/events/upcoming', optionalApiKey, async (req, res) => {
+app.get('/api/events/upcoming', optionalApiKey('events:read'), async (req, res) => {
   try {
     const days = Number(req.query.days) || 7;
     await cache.getEvents();
@@ -596,8 +2067,9 @@ app.get('/api/events/upcoming', optionalApiKey, async (req, res) => {
       success: true, 
       events,
       days,
-      startDate: new Date().toISOString().split('T')[0],
-      endDate: new Date(Date.now() + days * 86400000).toISOString().split('T')[0]
+      startDate: cache.getToday(),
+      endDate: addDays(cache.getToday(), days),
+      timeZone: cache.getHomeTimeZone()
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -605,7 +2077,7 @@ app.get('/api/events/upcoming', optionalApiKey, async (req, res) => {
 });
 
 // Search events
-app.get('/api/events/search', optionalApiKey, async (req, res) => {
+app.get('/api/events/search', optionalApiKey('events:read'), async (req, res) => {
   try {
     const { q } = req.query;
     if (!q) {
@@ -613,7 +2085,8 @@ app.get('/api/events/search', optionalApiKey, async (req, res) => {
     }
     
     await cache.getEvents();
-    const events = cache.searchEvents(q);
+    const events = cache.searchEvents(q)
+      .map(({ event, score, highlights }) => ({ ...event, score, highlights }));
     
     res.json({ 
       success: true, 
@@ -627,123 +2100,362 @@ app.get('/api/events/search', optionalApiKey, async (req, res) => {
 });
 
 // Get events by type
-app.get('/api/events/type/:type', optionalApiKey, async (req, res) => {
+app.get('/api/events/type/:type', optionalApiKey('events:read'), async (req, res) => {
+  try {
+    await cache.getEvents();
+    const events = cache.getEventsByType(req.params.type);
+    
+    res.json({ 
+      success: true, 
+      events,
+      type: req.params.type,
+      count: events.length
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get single event
+app.get('/api/events/:id', optionalApiKey('events:read'), async (req, res) => {
+  try {
+    const events = await cache.getEvents();
+    const event = events.find(e => e.id === req.params.id);
+    
+    if (!event) {
+      return res.status(404).json({ success: false, error: 'Event not found' });
+    }
+    
+    res.set('ETag', eventETag(event));
+    res.json({ success: true, event });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get events needing reminders
+app.get('/api/events/reminders', optionalApiKey('events:read'), async (req, res) => {
+  try {
+    const minutes = Number(req.query.minutes) || 15;
+    await cache.getEvents();
+    const events = cache.getEventsNeedingReminders(minutes);
+    
+    res.json({ 
+      success: true, 
+      events,
+      checkingNext: `${minutes} minutes`,
+      currentTime: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create event
+app.post('/api/events', optionalApiKey('events:write'), validateEventBody(), checkConflicts, async (req, res) => {
+  try {
+    const newEvent = await cache.addEvent(req.body, { actor: actorFromRequest(req) });
+    
+    res.set('ETag', eventETag(newEvent));
+    res.status(201).json({ 
+      success: true, 
+      event: newEvent,
+      ...(req.conflicts.length > 0 && { conflicts: req.conflicts }),
+      message: 'Event created successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Check an event for conflicts without saving it (?excludeId= skips an event being edited)
+app.post('/api/events/conflicts', optionalApiKey('events:read'), validateEventBody(), async (req, res) => {
+  try {
+    const conflicts = cache.findConflicts(req.body, req.query.excludeId || null);
+    
+    res.json({ 
+      success: true, 
+      conflicts,
+      count: conflicts.length
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Free/busy: merged busy intervals and free slots within working hours
+app.get('/api/freebusy', optionalApiKey('events:read'), async (req, res) => {
+  try {
+    const { start, end } = req.query;
+    if (!isValidDate(start) || !isValidDate(end) || end < start) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'start and end must be dates (YYYY-MM-DD) with end not before start' 
+      });
+    }
+    if (end > addDays(start, 366)) {
+      return res.status(400).json({ success: false, error: 'Range cannot exceed 366 days' });
+    }
+    
+    await cache.getEvents();
+    const minMinutes = Math.max(0, Number(req.query.minMinutes) || 0);
+    const { busy, free } = cache.getFreeBusy(start, end, { minMinutes });
+    const timeZone = cache.getHomeTimeZone();
+    const format = interval => ({
+      start: formatZonedTimestamp(interval.start, timeZone),
+      end: formatZonedTimestamp(interval.end, timeZone)
+    });
+    
+    res.json({ 
+      success: true, 
+      start,
+      end,
+      timeZone,
+      workingHours: cache.getSchedulingSettings().workingHours,
+      busy: busy.map(interval => ({ ...format(interval), events: interval.events })),
+      free: free.map(format)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update event
+app.put('/api/events/:id', optionalApiKey('events:write'), validateEventBody({ partial: true }), checkConflicts, async (req, res) => {
+  try {
+    const updatedEvent = await cache.updateEvent(req.params.id, req.body, {
+      actor: actorFromRequest(req),
+      ifMatch: req.headers['if-match']
+    });
+    
+    if (!updatedEvent) {
+      return res.status(404).json({ success: false, error: 'Event not found' });
+    }
+    
+    res.set('ETag', eventETag(updatedEvent));
+    res.json({ 
+      success: true, 
+      event: updatedEvent,
+      ...(req.conflicts.length > 0 && { conflicts: req.conflicts }),
+      message: 'Event updated successfully'
+    });
+  } catch (error) {
+    if (error instanceof PreconditionFailedError) return sendPreconditionFailed(res, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete event
+app.delete('/api/events/:id', optionalApiKey('events:write'), async (req, res) => {
+  try {
+    const success = await cache.deleteEvent(req.params.id, {
+      actor: actorFromRequest(req),
+      ifMatch: req.headers['if-match']
+    });
+    
+    if (!success) {
+      return res.status(404).json({ success: false, error: 'Event not found' });
+    }
+    
+    res.json({ 
+      success: true,
+      message: 'Event moved to trash'
+    });
+  } catch (error) {
+    if (error instanceof PreconditionFailedError) return sendPreconditionFailed(res, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Override a single occurrence of a recurring event
+app.put('/api/events/:id/occurrences/:date', optionalApiKey('events:write'), validateEventBody({
+  partial: true,
+  fields: OVERRIDE_FIELDS
+}), async (req, res) => {
+  try {
+    if (!isValidDate(req.params.date)) {
+      return res.status(400).json({ success: false, error: 'Date must be YYYY-MM-DD' });
+    }
+    
+    const updatedEvent = await cache.updateOccurrence(req.params.id, req.params.date, req.body, {
+      actor: actorFromRequest(req),
+      ifMatch: req.headers['if-match']
+    });
+    
+    if (!updatedEvent) {
+      return res.status(404).json({ success: false, error: 'Occurrence not found' });
+    }
+    
+    res.set('ETag', eventETag(updatedEvent));
+    res.json({ 
+      success: true, 
+      event: updatedEvent,
+      message: 'Occurrence updated successfully'
+    });
+  } catch (error) {
+    if (error instanceof PreconditionFailedError) return sendPreconditionFailed(res, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Cancel a single occurrence of a recurring event
+app.delete('/api/events/:id/occurrences/:date', optionalApiKey('events:write'), async (req, res) => {
   try {
-    await cache.getEvents();
-    const events = cache.getEventsByType(req.params.type);
+    if (!isValidDate(req.params.date)) {
+      return res.status(400).json({ success: false, error: 'Date must be YYYY-MM-DD' });
+    }
+    
+    const updatedEvent = await cache.cancelOccurrence(req.params.id, req.params.date, {
+      actor: actorFromRequest(req),
+      ifMatch: req.headers['if-match']
+    });
+    
+    if (!updatedEvent) {
+      return res.status(404).json({ success: false, error: 'Occurrence not found' });
+    }
     
+    res.set('ETag', eventETag(updatedEvent));
     res.json({ 
       success: true, 
-      events,
-      type: req.params.type,
-      count: events.length
+      event: updatedEvent,
+      message: 'Occurrence cancelled successfully'
     });
   } catch (error) {
+    if (error instanceof PreconditionFailedError) return sendPreconditionFailed(res, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get single event
-app.get('/api/events/:id', optionalApiKey, async (req, res) => {
+// Revision history of an event (also available while it's in the trash)
+app.get('/api/events/:id/revisions', optionalApiKey('events:read'), async (req, res) => {
   try {
-    const events = await cache.getEvents();
-    const event = events.find(e => e.id === req.params.id);
+    await cache.getEvents();
+    const revisions = await cache.getRevisions(req.params.id);
     
-    if (!event) {
+    if (!revisions) {
       return res.status(404).json({ success: false, error: 'Event not found' });
     }
     
-    res.json({ success: true, event });
+    res.json({ success: true, revisions, total: revisions.length });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get events needing reminders
-app.get('/api/events/reminders', optionalApiKey, async (req, res) => {
+// Restore an event to a previous revision
+app.post('/api/events/:id/revisions/:number/restore', optionalApiKey('events:write'), async (req, res) => {
   try {
-    const minutes = Number(req.query.minutes) || 15;
     await cache.getEvents();
-    const events = cache.getEventsNeedingReminders(minutes);
+    const event = await cache.restoreRevision(req.params.id, parseInt(req.params.number, 10), {
+      actor: actorFromRequest(req)
+    });
+    
+    if (!event) {
+      return res.status(404).json({ success: false, error: 'Revision not found' });
+    }
     
     res.json({ 
       success: true, 
-      events,
-      checkingNext: `${minutes} minutes`,
-      currentTime: new Date().toISOString()
+      event,
+      message: `Event restored to revision ${req.params.number}`
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Create event
-app.post('/api/events', optionalApiKey, async (req, res) => {
+// Trashed events
+app.get('/api/trash', optionalApiKey('events:read'), async (req, res) => {
   try {
-    const newEvent = await cache.addEvent(req.body);
-    
-    res.status(201).json({ 
+    await cache.getEvents();
+    const events = cache.getTrash();
+    res.json({ 
       success: true, 
-      event: newEvent,
-      message: 'Event created successfully'
+      events, 
+      total: events.length,
+      retentionDays: cache.getTrashSettings().retentionDays
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Update event
-app.put('/api/events/:id', optionalApiKey, async (req, res) => {
+// Restore an event from the trash
+app.post('/api/trash/:id/restore', optionalApiKey('events:write'), async (req, res) => {
   try {
-    const updatedEvent = await cache.updateEvent(req.params.id, req.body);
+    await cache.getEvents();
+    const event = await cache.restoreFromTrash(req.params.id, { actor: actorFromRequest(req) });
     
-    if (!updatedEvent) {
-      return res.status(404).json({ success: false, error: 'Event not found' });
+    if (!event) {
+      return res.status(404).json({ success: false, error: 'Event not in trash' });
     }
     
     res.json({ 
       success: true, 
-      event: updatedEvent,
-      message: 'Event updated successfully'
+      event,
+      message: 'Event restored from trash'
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Delete event
-app.delete('/api/events/:id', optionalApiKey, async (req, res) => {
+// Permanently delete one trashed event (purging can't be undone, so unlike
+// moving an event to the trash it always takes a key)
+app.delete('/api/trash/:id', requireApiKey('events:write'), async (req, res) => {
   try {
-    const success = await cache.deleteEvent(req.params.id);
+    await cache.getEvents();
+    const purged = await cache.purgeEvent(req.params.id);
     
-    if (!success) {
-      return res.status(404).json({ success: false, error: 'Event not found' });
+    if (!purged) {
+      return res.status(404).json({ success: false, error: 'Event not in trash' });
     }
     
-    res.json({ 
-      success: true,
-      message: 'Event deleted successfully'
-    });
+    res.json({ success: true, message: 'Event permanently deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Empty the trash
+app.delete('/api/trash', requireApiKey('events:write'), async (req, res) => {
+  try {
+    await cache.getEvents();
+    const purged = await cache.emptyTrash();
+    res.json({ success: true, purged, message: `${purged} event(s) permanently deleted` });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Batch operations
-app.post('/api/batch', optionalApiKey, async (req, res) => {
+// Batch operations (read-only batches only need read access)
+const batchScope = (req) => {
+  const operations = Array.isArray(req.body.operations) ? req.body.operations : [];
+  return operations.every(op => op.method === 'GET') ? 'events:read' : 'events:write';
+};
+
+app.post('/api/batch', heavyRateLimit, optionalApiKey(batchScope), async (req, res) => {
   try {
     const { operations } = req.body;
     if (!Array.isArray(operations)) {
       return res.status(400).json({ success: false, error: 'Operations must be an array' });
     }
     
+    const eventTypes = await cache.getEventTypes();
     const results = [];
     for (const op of operations) {
       try {
         let result;
         switch (op.method) {
           case 'GET':
-            if (op.url === '/api/events/today') {
+            if (op.url === '/api/events') {
+              const { query, errors } = parseEventQuery(op.params || {});
+              if (errors.length > 0) {
+                results.push({ success: false, status: 400, error: formatErrors(errors), errors });
+                continue;
+              }
+              result = cache.queryEvents(query);
+            } else if (op.url === '/api/events/today') {
               result = cache.getTodayEvents();
             } else if (op.url === '/api/events/upcoming') {
               result = cache.getUpcomingEvents(op.params?.days || 7);
@@ -751,19 +2463,52 @@ app.post('/api/batch', optionalApiKey, async (req, res) => {
             break;
           case 'POST':
             if (op.url === '/api/events') {
-              result = await cache.addEvent(op.body);
+              const { value, errors } = validateEvent(op.body, {
+                eventTypes,
+                defaultType: eventTypes[0]
+              });
+              if (errors.length > 0) {
+                results.push({ success: false, status: 400, error: formatErrors(errors), errors });
+                continue;
+              }
+              result = await cache.addEvent(value, { actor: actorFromRequest(req, 'batch') });
+            }
+            break;
+          case 'PUT':
+            if (op.url.startsWith('/api/events/')) {
+              const id = op.url.split('/').pop();
+              const { value, errors } = validateEvent(op.body, {
+                partial: true,
+                existing: cache.events.find(e => e.id === id),
+                eventTypes
+              });
+              if (errors.length > 0) {
+                results.push({ success: false, status: 400, error: formatErrors(errors), errors });
+                continue;
+              }
+              result = await cache.updateEvent(id, value, {
+                actor: actorFromRequest(req, 'batch'),
+                ifMatch: versionToIfMatch(op.version)
+              });
             }
             break;
           case 'DELETE':
             if (op.url.startsWith('/api/events/')) {
               const id = op.url.split('/').pop();
-              result = await cache.deleteEvent(id);
+              result = await cache.deleteEvent(id, {
+                actor: actorFromRequest(req, 'batch'),
+                ifMatch: versionToIfMatch(op.version)
+              });
             }
             break;
         }
         results.push({ success: true, data: result });
       } catch (error) {
-        results.push({ success: false, error: error.message });
+        if (error instanceof PreconditionFailedError) {
+          results.push({ success: false, status: 412, error: error.message, event: error.current || null });
+        } else {
+          results.push({ success: false, error: error.message });
+        }
       }
     }
     
@@ -774,7 +2519,7 @@ app.post('/api/batch', optionalApiKey, async (req, res) => {
 });
 
 // iCal export
-app.get('/api/calendar.ics', async (req, res) => {
+app.get('/api/calendar.ics', heavyRateLimit, optionalApiKey('events:read'), async (req, res) => {
   try {
     await cache.getEvents();
     const ical = cache.generateICal();
@@ -789,29 +2534,96 @@ app.get('/api/calendar.ics', async (req, res) => {
   }
 });
 
+// iCal import (raw text/calendar body, or JSON { "ics": "..." })
+app.post('/api/calendar.ics', heavyRateLimit, optionalApiKey('events:write'), express.text({
+  type: ['text/*', 'application/octet-stream'],
+  limit: '5mb'
+}), async (req, res) => {
+  try {
+    const text = typeof req.body === 'string' ? req.body : req.body && req.body.ics;
+    
+    if (!text || !/BEGIN:VCALENDAR/i.test(text)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'iCalendar data required' 
+      });
+    }
+    
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+    await cache.getEvents();
+    const report = await cache.importICal(text, {
+      dryRun,
+      defaultType: req.query.type,
+      actor: actorFromRequest(req, 'import')
+    });
+    
+    res.json({ 
+      success: true, 
+      dryRun,
+      ...report,
+      summary: {
+        created: report.created.length,
+        updated: report.updated.length,
+        skipped: report.skipped.length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// CalDAV sync for phones and desktop calendar clients
+app.all('/.well-known/caldav', (req, res) => {
+  res.redirect(301, '/caldav/');
+});
+// CalDAV clients send their API key as the Basic auth password
+const identifyCalDavClient = (req) => {
+  const apiKey = basicAuthKey(req);
+  const keyData = apiKey && cache.findApiKey(apiKey);
+  return keyData
+    ? { tier: 'apiKey', id: keyData.id }
+    : { tier: 'anonymous', id: req.ip };
+};
+app.use('/caldav', rateLimiter.middleware('default', identifyCalDavClient), createCalDavRouter(cache));
+
 // Webhook management
-app.get('/api/webhooks', requireApiKey, async (req, res) => {
+app.get('/api/webhooks', requireApiKey('webhooks:manage'), async (req, res) => {
   res.json({ 
     success: true, 
     webhooks: cache.webhooks.map(w => ({
       id: w.id,
       url: w.url,
       events: w.events,
+      active: w.active !== false,
+      failureCount: w.failureCount || 0,
+      disabledAt: w.disabledAt || null,
       createdAt: w.createdAt
     }))
   });
 });
 
-app.post('/api/webhooks', requireApiKey, async (req, res) => {
+app.post('/api/webhooks', requireApiKey('webhooks:manage'), async (req, res) => {
   try {
     const { url, events, secret } = req.body;
     
-    if (!url || !events) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'URL and events array required' 
-      });
+    // The delivery worker will POST to the URL, so only http(s) is accepted
+    const errors = [];
+    let parsedUrl = null;
+    try {
+      parsedUrl = new URL(url);
+    } catch {
+      // Reported below
+    }
+    if (typeof url !== 'string' || !parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+      errors.push({ field: 'url', message: 'must be an http or https URL' });
     }
+    if (!Array.isArray(events) || events.length === 0 || !events.every(name => WEBHOOK_EVENTS.includes(name))) {
+      errors.push({ field: 'events', message: `must be a list of: ${WEBHOOK_EVENTS.join(', ')}` });
+    }
+    if (secret !== undefined && secret !== null && typeof secret !== 'string') {
+      errors.push({ field: 'secret', message: 'must be text' });
+    }
+    if (errors.length > 0) return sendValidationError(res, errors);
     
     const webhook = await cache.addWebhook({ url, events, secret });
     
@@ -828,7 +2640,7 @@ app.post('/api/webhooks', requireApiKey, async (req, res) => {
   }
 });
 
-app.delete('/api/webhooks/:id', requireApiKey, async (req, res) => {
+app.delete('/api/webhooks/:id', requireApiKey('webhooks:manage'), async (req, res) => {
   try {
     await cache.removeWebhook(req.params.id);
     res.json({ success: true, message: 'Webhook removed' });
@@ -837,8 +2649,76 @@ app.delete('/api/webhooks/:id', requireApiKey, async (req, res) => {
   }
 });
 
+// Recent deliveries for a webhook
+app.get('/api/webhooks/:id/deliveries', requireApiKey('webhooks:manage'), async (req, res) => {
+  try {
+    if (!cache.webhooks.some(w => w.id === req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    
+    const limit = Number(req.query.limit) || 50;
+    const deliveries = cache.getWebhookDeliveries(req.params.id, limit);
+    
+    res.json({ 
+      success: true, 
+      deliveries,
+      count: deliveries.length
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Redeliver a previous delivery
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', requireApiKey('webhooks:manage'), async (req, res) => {
+  try {
+    const delivery = await cache.redeliverWebhook(req.params.id, req.params.deliveryId);
+    
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+    
+    res.status(201).json({ success: true, delivery });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Send a test ping
+app.post('/api/webhooks/:id/ping', requireApiKey('webhooks:manage'), async (req, res) => {
+  try {
+    const delivery = await cache.pingWebhook(req.params.id);
+    
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    
+    res.json({ 
+      success: delivery.status === 'delivered', 
+      delivery
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-enable a webhook disabled after repeated failures
+app.post('/api/webhooks/:id/enable', requireApiKey('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await cache.enableWebhook(req.params.id);
+    
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    
+    res.json({ success: true, message: 'Webhook enabled' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Notification endpoints
-app.get('/api/notifications/pending', optionalApiKey, async (req, res) => {
+app.get('/api/notifications/pending', optionalApiKey('events:read'), async (req, res) => {
   try {
     const minutes = Number(req.query.minutes) || 15;
     await cache.getEvents();
@@ -854,7 +2734,7 @@ app.get('/api/notifications/pending', optionalApiKey, async (req, res) => {
   }
 });
 
-app.post('/api/notifications/:eventId/sent', optionalApiKey, async (req, res) => {
+app.post('/api/notifications/:eventId/sent', optionalApiKey('events:write'), async (req, res) => {
   try {
     const { method, status } = req.body;
     
@@ -874,7 +2754,144 @@ app.post('/api/notifications/:eventId/sent', optionalApiKey, async (req, res) =>
   }
 });
 
-app.get('/api/notifications/history', requireApiKey, async (req, res) => {
+// Send a test email to check the SMTP settings (admin only)
+app.post('/api/notifications/email/test', requireApiKey('admin'), async (req, res) => {
+  try {
+    const settings = cache.getEmailSettings();
+    const recipients = req.body && req.body.to ? [].concat(req.body.to) : settings.to;
+    if (recipients.length === 0) {
+      return res.status(400).json({ success: false, error: 'No recipients: pass "to" or set email.to in config.json' });
+    }
+    
+    const sentAt = new Date().toISOString();
+    const email = {
+      subject: 'Calendar test email',
+      text: `This is a test email from your calendar server, sent at ${sentAt}.\n`,
+      html: `<p>This is a test email from your calendar server, sent at ${sentAt}.</p>\n`,
+      attachments: []
+    };
+    const notifications = await Promise.all(recipients.map(recipient =>
+      cache.sendEmail(recipient, email, { test: true })));
+    
+    res.json({
+      success: notifications.every(notification => notification.status === 'sent'),
+      notifications
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Web Push: the server's public key for PushManager.subscribe()
+app.get('/api/push/public-key', (req, res) => {
+  res.json({ publicKey: cache.vapidKeys.publicKey });
+});
+
+// Browsers subscribed to push reminders
+app.get('/api/push/subscriptions', requireApiKey('events:read'), async (req, res) => {
+  try {
+    res.json({ subscriptions: cache.pushSubscriptions.map(s => cache.publicPushSubscription(s)) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Subscribe a browser (or refresh its subscription)
+app.post('/api/push/subscriptions', optionalApiKey('events:write'), async (req, res) => {
+  try {
+    const { subscription, deviceName, previousEndpoint } = req.body || {};
+    const errors = validateSubscription(subscription);
+    if (deviceName !== undefined && (typeof deviceName !== 'string' || deviceName.length > 100)) {
+      errors.push({ field: 'deviceName', message: 'must be text of at most 100 characters' });
+    }
+    if (errors.length > 0) return sendValidationError(res, errors);
+    
+    const known = cache.pushSubscriptions.some(s => s.endpoint === subscription.endpoint);
+    const record = await cache.savePushSubscription(subscription, {
+      deviceName: deviceName && deviceName.trim(),
+      userAgent: req.get('user-agent'),
+      previousEndpoint
+    });
+    
+    res.status(known ? 200 : 201).json({ success: true, subscription: cache.publicPushSubscription(record) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Without an API key a browser may only change its own subscription: the
+// request body must name its endpoint, which only the browser and its push
+// service know
+const ownPushSubscription = (req, res, next) => {
+  const subscription = cache.pushSubscriptions.find(s => s.id === req.params.id);
+  if (!subscription) {
+    return res.status(404).json({ success: false, error: 'Subscription not found' });
+  }
+  if (!req.apiKey && (!req.body || req.body.endpoint !== subscription.endpoint)) {
+    return res.status(403).json({ success: false, error: 'Send the subscription endpoint or an API key with events:write' });
+  }
+  req.pushSubscription = subscription;
+  next();
+};
+
+// Rename a subscribed device
+app.put('/api/push/subscriptions/:id', optionalApiKey('events:write'), ownPushSubscription, async (req, res) => {
+  try {
+    const subscription = req.pushSubscription;
+    const { deviceName } = req.body || {};
+    if (typeof deviceName !== 'string' || !deviceName.trim() || deviceName.length > 100) {
+      return sendValidationError(res, [{ field: 'deviceName', message: 'must be text of at most 100 characters' }]);
+    }
+    
+    subscription.deviceName = deviceName.trim();
+    await cache.savePushSubscriptions();
+    res.json({ success: true, subscription: cache.publicPushSubscription(subscription) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/push/subscriptions/:id', optionalApiKey('events:write'), ownPushSubscription, async (req, res) => {
+  try {
+    const removed = await cache.removePushSubscription(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' });
+    }
+    res.json({ success: true, message: 'Subscription removed' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Send a test notification to one device (admin only: it reports how an
+// arbitrary registered endpoint answered)
+app.post('/api/push/subscriptions/:id/test', requireApiKey('admin'), async (req, res) => {
+  try {
+    const subscription = cache.pushSubscriptions.find(s => s.id === req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' });
+    }
+    
+    const results = await cache.pushToSubscribers([{
+      type: 'test',
+      title: 'Calendar notifications are on',
+      body: `Reminders will appear on ${subscription.deviceName}.`,
+      tag: 'test',
+      url: '/'
+    }], [subscription]);
+    const result = results[0] || { subscriptionId: subscription.id, statusCode: null, error: 'Subscription expired' };
+    
+    res.json({
+      success: !result.error,
+      ...result,
+      removed: !cache.pushSubscriptions.includes(subscription)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/notifications/history', requireApiKey('events:read'), async (req, res) => {
   try {
     const limit = Number(req.query.limit) || 100;
     const notifications = cache.notifications.slice(-limit);
@@ -889,14 +2906,45 @@ app.get('/api/notifications/history', requireApiKey, async (req, res) => {
   }
 });
 
-// API key management
-app.post('/api/keys/generate', async (req, res) => {
+// API key management (admin only)
+app.post('/api/keys/generate', requireApiKey('admin'), async (req, res) => {
   try {
-    const apiKey = cache.generateApiKey();
+    const { name, scopes = DEFAULT_API_KEY_SCOPES, expiresAt, expiresInDays } = req.body || {};
+    
+    if (!Array.isArray(scopes) || scopes.length === 0 ||
+        scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}` 
+      });
+    }
+    
+    let expiry = null;
+    if (expiresInDays !== undefined) {
+      if (!(Number(expiresInDays) > 0)) {
+        return res.status(400).json({ success: false, error: 'expiresInDays must be a positive number' });
+      }
+      expiry = new Date(Date.now() + Number(expiresInDays) * 86400000).toISOString();
+    } else if (expiresAt !== undefined && expiresAt !== null) {
+      const date = new Date(expiresAt);
+      if (isNaN(date.getTime()) || date <= new Date()) {
+        return res.status(400).json({ success: false, error: 'expiresAt must be a future date' });
+      }
+      expiry = date.toISOString();
+    }
+    
+    const { key, keyData } = await cache.generateApiKey({ name, scopes, expiresAt: expiry });
     
     res.status(201).json({ 
       success: true, 
-      apiKey,
+      apiKey: key,
+      key: {
+        id: keyData.id,
+        name: keyData.name,
+        prefix: keyData.prefix,
+        scopes: keyData.scopes,
+        expiresAt: keyData.expiresAt
+      },
       message: 'Save this key securely - it cannot be retrieved later'
     });
   } catch (error) {
@@ -904,6 +2952,29 @@ app.post('/api/keys/generate', async (req, res) => {
   }
 });
 
+app.get('/api/keys', requireApiKey('admin'), async (req, res) => {
+  try {
+    const keys = cache.listApiKeys();
+    res.json({ success: true, keys, count: keys.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/keys/:id', requireApiKey('admin'), async (req, res) => {
+  try {
+    const keyData = await cache.revokeApiKey(req.params.id);
+    
+    if (!keyData) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    
+    res.json({ success: true, message: 'API key revoked' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Configuration endpoint
 app.get('/api/config', async (req, res) => {
   try {
@@ -921,7 +2992,9 @@ app.get('/api/config', async (req, res) => {
       'ETag': `"${cache.lastModified.config}"`
     });
     
-    res.json(config);
+    // Mail server settings stay on the server
+    const { email, ...publicConfig } = config;
+    res.json(publicConfig);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -935,8 +3008,41 @@ app.get('/', (req, res) => {
 // Create HTTP server for WebSocket support
 const server = http.createServer(app);
 
-// WebSocket server
-const wss = new WebSocket.Server({ server, path: '/api/events/stream' });
+// WebSocket server (connection attempts are rate limited)
+const wss = new WebSocket.Server({
+  server,
+  path: '/api/events/stream',
+  verifyClient: (info, done) => {
+    const { req } = info;
+    const url = new URL(req.url, 'http://localhost');
+    const apiKey = req.headers['x-api-key'] || url.searchParams.get('apiKey');
+    let keyData;
+    try {
+      keyData = apiKey && cache.findApiKey(apiKey);
+    } catch (error) {
+      // An error escaping verifyClient would take the whole process down
+      console.error('WebSocket key check failed:', error);
+      return done(false, 401, 'Unauthorized');
+    }
+    
+    // Same proxy rule as Express: only trust X-Forwarded-For from loopback
+    let ip = req.socket.remoteAddress;
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded && /^(::1|127\.|::ffff:127\.)/.test(ip)) {
+      ip = forwarded.split(',')[0].trim();
+    }
+    
+    const result = rateLimiter.hit('websocket', keyData
+      ? { tier: 'apiKey', id: keyData.id }
+      : { tier: 'anonymous', id: ip });
+    
+    if (result.allowed) return done(true);
+    done(false, 429, 'Too Many Requests', {
+      ...rateLimiter.headers(result),
+      'Retry-After': String(result.resetSeconds)
+    });
+  }
+});
 
 wss.on('connection', (ws) => {
   cache.wsClients.add(ws);
@@ -976,43 +3082,57 @@ const wsHealthCheck = setInterval(() => {
   });
 }, 30000);
 
-// Notification checker (runs every minute)
-const notificationChecker = setInterval(async () => {
-  try {
-    await cache.getEvents();
-    const pending = cache.getEventsNeedingReminders(15);
-    
-    if (pending.length > 0) {
-      // Broadcast to WebSocket clients
-      cache.broadcast({
-        type: 'reminders-due',
-        data: pending
-      });
-      
-      // Trigger webhooks
-      pending.forEach(event => {
-        cache.triggerWebhooks('event.reminder', event);
-      });
-    }
-  } catch (error) {
-    console.error('Notification check error:', error);
-  }
-}, 60000);
+// Persist rate limit counters (runs every 30 seconds)
+const rateLimitSaver = setInterval(() => {
+  rateLimiter.save().catch(error => {
+    console.error('Error saving rate limits:', error);
+  });
+}, 30000);
+
+// Webhook retry queue (runs every 10 seconds)
+const webhookWorker = setInterval(() => {
+  cache.processWebhookQueue().catch(error => {
+    console.error('Webhook queue error:', error);
+  });
+}, 10000);
+
+// Trash and history retention (runs every hour)
+const trashPurger = setInterval(() => {
+  cache.purgeExpiredTrash().catch(error => {
+    console.error('Trash purge error:', error);
+  });
+  cache.pruneHistory().catch(error => {
+    console.error('History prune error:', error);
+  });
+}, 3600000);
+
+// Reminder scheduler (runs every 30 seconds)
+const reminderScheduler = setInterval(() => {
+  cache.checkReminders().catch(error => {
+    console.error('Reminder check error:', error);
+  });
+}, REMINDER_CHECK_MS);
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
   
-  clearInterval(notificationChecker);
+  clearInterval(reminderScheduler);
   clearInterval(wsHealthCheck);
+  clearInterval(webhookWorker);
+  clearInterval(rateLimitSaver);
+  clearInterval(trashPurger);
   
   wss.clients.forEach((ws) => {
     ws.close();
   });
   
-  await cache.writeEvents();
   await cache.saveWebhooks();
+  await cache.saveWebhookDeliveries();
   await cache.saveNotifications();
+  await cache.saveApiKeys();
+  await rateLimiter.save();
+  await cache.store.close();
   
   server.close(() => {
     console.log('Server closed');
@@ -1022,27 +3142,50 @@ process.on('SIGTERM', async () => {
 
 // Start server
 async function startServer() {
-  await initDataFiles();
-  await cache.loadEvents();
   await cache.loadConfig();
+  await cache.openStore();
+  await cache.loadEvents();
+  await cache.purgeExpiredTrash();
+  await cache.pruneHistory();
   await cache.loadWebhooks();
+  await cache.loadWebhookDeliveries();
   await cache.loadNotifications();
+  await cache.loadFiredReminders();
+  await cache.loadEmailCounts();
+  await cache.loadPushState();
+  await cache.loadApiKeys();
+  await rateLimiter.load();
+  
+  // Send reminders that came due while the server was down
+  cache.checkReminders().catch(error => {
+    console.error('Reminder check error:', error);
+  });
   
   server.listen(PORT, '0.0.0.0', () => {
     console.log(`\n🚀 Calendar API Server v2.0`);
     console.log(`📍 Local: http://localhost:${PORT}`);
     console.log(`🌐 Network: http://YOUR_SERVER_IP:${PORT}`);
-    console.log(`📁 Data: ${DATA_FILE}`);
+    console.log(`📁 Data: ${cache.store.location} (${cache.store.name})`);
     console.log(`\n⚡ Features:`);
     console.log(`  • RESTful API with advanced endpoints`);
     console.log(`  • WebSocket real-time updates`);
-    console.log(`  • Webhook support for integrations`);
+    console.log(`  • Webhook delivery with retries`);
     console.log(`  • Notification system with reminders`);
     console.log(`  • iCal export for standard calendar apps`);
-    console.log(`  • API key authentication`);
+    console.log(`  • CalDAV sync at /caldav/`);
+    console.log(`  • Scoped API key authentication`);
     console.log(`  • Batch operations support`);
+    console.log(`  • Rate limiting per API key and client IP`);
     console.log(`\n📚 API Docs: http://localhost:${PORT}/api/health\n`);
   });
 }
 
-startServer().catch(console.error);
+// Refuse to start on damaged data rather than overwrite it with an empty state
+startServer().catch(error => {
+  if (error instanceof StorageCorruptError) {
+    console.error(`❌ ${error.message}`);
+  } else {
+    console.error('Failed to start server:', error);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,108 @@
+// Service worker for the web calendar
+//
+// Keeps the app shell and /api/config available offline. Requests go to the
+// network first so a running server always serves the latest files; the
+// cached copy is only used when the network fails. Event data is stored by
+// the page itself (see offline-store.js).
+
+const CACHE_NAME = 'taqweem-shell-v1';
+
+const SHELL_FILES = [
+  '/',
+  '/calendar.html',
+  '/calendar.js',
+  '/calendar-style.css',
+  '/offline-store.js',
+  '/manifest.webmanifest',
+  '/icon.svg',
+  '/api/config'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches left by earlier versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin ||
+    !SHELL_FILES.includes(url.pathname)) {
+    return;
+  }
+
+  event.respondWith(
+    fetch(event.request)
+      .then(response => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(url.pathname, copy));
+        }
+        return response;
+      })
+      .catch(() => caches.match(url.pathname).then(cached => cached || Response.error()))
+  );
+});
+
+// Push reminders (see the server's reminderPushPayload). While a calendar tab
+// is focused it shows the reminder as a toast, so no notification is needed.
+self.addEventListener('push', (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then(clients => {
+        if (data.type === 'reminder' && clients.some(client => client.focused)) return;
+        return self.registration.showNotification(data.title || 'Calendar', {
+          body: data.body,
+          tag: data.tag,
+          icon: '/icon.svg',
+          data: { url: data.url || '/' }
+        });
+      })
+  );
+});
+
+// Open the calendar (or bring an open tab forward) from a notification
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data.url, self.location.origin).href;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then(clients => {
+        const open = clients.find(client => client.url.startsWith(self.location.origin));
+        return open ? open.focus() : self.clients.openWindow(url);
+      })
+  );
+});
+
+// The push service replaced the subscription; hand the new one to the server
+self.addEventListener('pushsubscriptionchange', (event) => {
+  const previous = event.oldSubscription;
+  if (!event.newSubscription && !previous) return;
+  event.waitUntil(
+    (event.newSubscription
+      ? Promise.resolve(event.newSubscription)
+      : self.registration.pushManager.subscribe(previous.options))
+      .then(subscription => fetch('/api/push/subscriptions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          subscription: subscription.toJSON(),
+          previousEndpoint: previous && previous.endpoint
+        })
+      }))
+  );
+});
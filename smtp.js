@@ -0,0 +1,283 @@
+// Minimal SMTP client and MIME message builder
+//
+// Enough of RFC 5321 to hand a message to a mail server or a local sink:
+// EHLO, STARTTLS (when offered, unless startTls is false), AUTH PLAIN or
+// LOGIN, MAIL FROM, RCPT TO, DATA and QUIT. secure: true connects over TLS
+// from the start (port 465). Credentials are only ever sent over TLS.
+// Messages are multipart MIME with base64 parts, so any text (Arabic
+// included) survives 7-bit servers.
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const SMTP_DEFAULTS = {
+  host: 'localhost',
+  port: 25,
+  secure: false,
+  startTls: true,
+  user: null,
+  password: null,
+  timeoutMs: 10000
+};
+
+class SmtpError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+    // 4xx replies and connection problems may work on a later attempt
+    this.temporary = code === null || (code >= 400 && code < 500);
+  }
+}
+
+// The bare address in "Name <user@host>" or "user@host"
+function addressOf(mailbox) {
+  const match = /<([^>]+)>/.exec(mailbox);
+  return (match ? match[1] : mailbox).trim();
+}
+
+// RFC 2047 encoded-word for header text that isn't plain ASCII
+function encodeHeader(text) {
+  return /^[\x20-\x7e]*$/.test(text)
+    ? text
+    : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function encodeMailbox(mailbox) {
+  const match = /^\s*(.*?)\s*<([^>]+)>\s*$/.exec(mailbox);
+  if (!match || !match[1]) return addressOf(mailbox);
+  const name = match[1].replace(/^"|"$/g, '');
+  return `${encodeHeader(name)} <${match[2]}>`;
+}
+
+function base64Lines(content) {
+  return Buffer.from(content, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// Build a message with plain text and HTML alternatives and optional
+// attachments ({ filename, contentType, content })
+function buildMessage({ from, to, subject, text, html, attachments = [] }) {
+  const boundary = () => `=_${crypto.randomBytes(12).toString('hex')}`;
+  const mixed = boundary();
+  const alternative = boundary();
+  const domain = addressOf(from).split('@')[1] || os.hostname();
+
+  const lines = [
+    `From: ${encodeMailbox(from)}`,
+    `To: ${[].concat(to).map(encodeMailbox).join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomBytes(16).toString('hex')}@${domain}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/mixed; boundary="${mixed}"`,
+    '',
+    `--${mixed}`,
+    `Content-Type: multipart/alternative; boundary="${alternative}"`,
+    '',
+    `--${alternative}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(text),
+    `--${alternative}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(html),
+    `--${alternative}--`
+  ];
+
+  attachments.forEach(({ filename, contentType, content }) => {
+    lines.push(
+      `--${mixed}`,
+      `Content-Type: ${contentType}; name="${filename}"`,
+      `Content-Disposition: attachment; filename="${filename}"`,
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(content)
+    );
+  });
+  lines.push(`--${mixed}--`, '');
+  return lines.join('\r\n');
+}
+
+// One SMTP conversation: send a command, wait for its (possibly multi-line) reply
+class SmtpConnection {
+  constructor(settings) {
+    this.settings = settings;
+    this.socket = null;
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+  }
+
+  connect() {
+    const { host, port, secure, timeoutMs } = this.settings;
+    return new Promise((resolve, reject) => {
+      const onConnect = () => {
+        this.socket.removeListener('error', reject);
+        this.attach(this.socket);
+        resolve();
+      };
+      this.socket = secure
+        ? tls.connect({ host, port, servername: host }, onConnect)
+        : net.connect({ host, port }, onConnect);
+      this.socket.setTimeout(timeoutMs);
+      this.socket.once('error', reject);
+      this.socket.once('timeout', () => reject(new SmtpError(`Timed out connecting to ${host}:${port}`)));
+    });
+  }
+
+  attach(socket) {
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => this.onData(chunk));
+    socket.on('timeout', () => this.fail(new SmtpError('SMTP server stopped responding')));
+    socket.on('error', error => this.fail(new SmtpError(error.message)));
+    socket.on('close', () => this.fail(new SmtpError('SMTP connection closed')));
+  }
+
+  onData(chunk) {
+    this.buffer += chunk;
+    let index;
+    while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+      const line = this.buffer.slice(0, index);
+      this.buffer = this.buffer.slice(index + 2);
+      this.lines.push(line);
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines: this.lines.map(l => l.slice(4)) };
+        this.lines = [];
+        const waiting = this.waiting;
+        this.waiting = null;
+        if (waiting) waiting.resolve(reply);
+      }
+    }
+  }
+
+  fail(error) {
+    const waiting = this.waiting;
+    this.waiting = null;
+    if (waiting) waiting.reject(error);
+  }
+
+  // Resolve with the next reply, failing unless its code is expected
+  reply(expected) {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    }).then(reply => {
+      if (!expected.includes(reply.code)) {
+        throw new SmtpError(`SMTP ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+      }
+      return reply;
+    });
+  }
+
+  command(line, expected) {
+    const reply = this.reply(expected);
+    this.socket.write(`${line}\r\n`);
+    return reply;
+  }
+
+  // Switch the open connection to TLS
+  upgrade() {
+    const { host } = this.settings;
+    return new Promise((resolve, reject) => {
+      const plain = this.socket;
+      plain.removeAllListeners('data');
+      plain.removeAllListeners('timeout');
+      plain.removeAllListeners('error');
+      plain.removeAllListeners('close');
+      this.socket = tls.connect({ socket: plain, servername: host }, () => {
+        this.socket.removeListener('error', reject);
+        this.attach(this.socket);
+        resolve();
+      });
+      this.socket.setTimeout(this.settings.timeoutMs);
+      this.socket.once('error', reject);
+    });
+  }
+
+  close() {
+    this.waiting = null;
+    this.socket?.destroy();
+  }
+}
+
+// EHLO and return the extensions the server announced (upper case)
+async function hello(connection) {
+  const reply = await connection.command(`EHLO ${os.hostname()}`, [250]);
+  return reply.lines.slice(1).map(line => line.toUpperCase());
+}
+
+async function authenticate(connection, extensions, { user, password }) {
+  const auth = extensions.find(line => line.startsWith('AUTH')) || '';
+  if (auth.includes('PLAIN') || !auth.includes('LOGIN')) {
+    const token = Buffer.from(`\0${user}\0${password}`).toString('base64');
+    await connection.command(`AUTH PLAIN ${token}`, [235]);
+    return;
+  }
+  await connection.command('AUTH LOGIN', [334]);
+  await connection.command(Buffer.from(user).toString('base64'), [334]);
+  await connection.command(Buffer.from(password || '').toString('base64'), [235]);
+}
+
+// Send a message built by buildMessage. Resolves with the server's reply to
+// the message data; rejects with an SmtpError.
+async function sendMail(options, { from, to, message }) {
+  const settings = { ...SMTP_DEFAULTS, ...options };
+  const connection = new SmtpConnection(settings);
+
+  try {
+    const greeting = connection.reply([220]);
+    await connection.connect();
+    await greeting;
+
+    let extensions = await hello(connection);
+    let encrypted = settings.secure;
+    if (!settings.secure && settings.startTls !== false && extensions.includes('STARTTLS')) {
+      await connection.command('STARTTLS', [220]);
+      await connection.upgrade();
+      encrypted = true;
+      extensions = await hello(connection);
+    }
+    if (settings.user) {
+      // Never send the password in the clear
+      if (!encrypted) {
+        const error = new SmtpError(settings.startTls === false
+          ? 'Refusing to authenticate without TLS (startTls is false)'
+          : 'Refusing to authenticate: server does not offer STARTTLS');
+        // A retry would meet the same connection
+        error.temporary = false;
+        throw error;
+      }
+      await authenticate(connection, extensions, settings);
+    }
+
+    await connection.command(`MAIL FROM:<${addressOf(from)}>`, [250]);
+    for (const recipient of [].concat(to)) {
+      await connection.command(`RCPT TO:<${addressOf(recipient)}>`, [250, 251]);
+    }
+    await connection.command('DATA', [354]);
+
+    // Lines starting with a dot get another one (RFC 5321 4.5.2)
+    const data = message.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    const accepted = await connection.command(`${data.replace(/\r\n$/, '')}\r\n.`, [250]);
+
+    await connection.command('QUIT', [221]).catch(() => {});
+    return accepted.lines.join(' ');
+  } catch (error) {
+    throw error instanceof SmtpError ? error : new SmtpError(error.message);
+  } finally {
+    connection.close();
+  }
+}
+
+module.exports = {
+  SMTP_DEFAULTS,
+  SmtpError,
+  addressOf,
+  buildMessage,
+  sendMail
+};
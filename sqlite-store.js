@@ -0,0 +1,276 @@
+// SQLite storage backend (needs the optional better-sqlite3 package)
+//
+// Each change writes only the rows it touches. Events keep their full JSON in
+// "data"; date, type and the text fields are copied into indexed columns and
+// an FTS5 table (events_fts) for querying the database directly; trashed
+// events have deleted_at set. Lists are stored one row per item, in order.
+
+const { MAX_SYNC_CHANGES, LIST_NAMES, StorageCorruptError } = require('./storage');
+
+const LIST_TABLES = {
+  webhooks: 'webhooks',
+  notifications: 'notifications',
+  webhookDeliveries: 'webhook_deliveries',
+  apiKeys: 'api_keys',
+  firedReminders: 'fired_reminders',
+  pushSubscriptions: 'push_subscriptions',
+  vapidKeys: 'vapid_keys',
+  emailCounts: 'email_counts'
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS events (
+    id TEXT PRIMARY KEY,
+    date TEXT NOT NULL,
+    end_date TEXT,
+    type TEXT,
+    title TEXT,
+    description TEXT,
+    location TEXT,
+    deleted_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS events_date ON events (date, end_date);
+  CREATE INDEX IF NOT EXISTS events_type ON events (type);
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS events_fts USING fts5(
+    title, description, location, content='events', content_rowid='rowid'
+  );
+  CREATE TRIGGER IF NOT EXISTS events_fts_insert AFTER INSERT ON events BEGIN
+    INSERT INTO events_fts (rowid, title, description, location)
+    VALUES (new.rowid, new.title, new.description, new.location);
+  END;
+  CREATE TRIGGER IF NOT EXISTS events_fts_delete AFTER DELETE ON events BEGIN
+    INSERT INTO events_fts (events_fts, rowid, title, description, location)
+    VALUES ('delete', old.rowid, old.title, old.description, old.location);
+  END;
+  CREATE TRIGGER IF NOT EXISTS events_fts_update AFTER UPDATE ON events BEGIN
+    INSERT INTO events_fts (events_fts, rowid, title, description, location)
+    VALUES ('delete', old.rowid, old.title, old.description, old.location);
+    INSERT INTO events_fts (rowid, title, description, location)
+    VALUES (new.rowid, new.title, new.description, new.location);
+  END;
+
+  CREATE TABLE IF NOT EXISTS changes (
+    revision INTEGER PRIMARY KEY,
+    id TEXT NOT NULL,
+    resource_name TEXT NOT NULL,
+    deleted INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS revisions (
+    event_id TEXT NOT NULL,
+    number INTEGER NOT NULL,
+    action TEXT NOT NULL,
+    at TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (event_id, number)
+  );
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+` + Object.values(LIST_TABLES).map(table => `
+  CREATE TABLE IF NOT EXISTS ${table} (
+    position INTEGER PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+`).join('');
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch {
+    throw new Error('The SQLite storage backend needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+}
+
+function eventRow(event) {
+  return {
+    id: event.id,
+    date: event.date,
+    endDate: event.endDate || null,
+    type: event.type || null,
+    title: event.title || null,
+    description: event.description || null,
+    location: event.location || null,
+    deletedAt: event.deletedAt || null,
+    data: JSON.stringify(event)
+  };
+}
+
+class SqliteStore {
+  constructor(file) {
+    this.name = 'sqlite';
+    this.file = file;
+    this.location = file;
+    this.db = null;
+  }
+
+  async open() {
+    const Database = loadDriver();
+    try {
+      this.db = new Database(this.file);
+      const check = this.db.pragma('quick_check', { simple: true });
+      if (check !== 'ok') {
+        throw new StorageCorruptError(this.file, check);
+      }
+    } catch (error) {
+      if (error.code === 'SQLITE_NOTADB' || error.code === 'SQLITE_CORRUPT') {
+        throw new StorageCorruptError(this.file, error.message);
+      }
+      throw error;
+    }
+
+    // WAL with full sync: a committed change survives a crash or power loss
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = FULL');
+    this.db.exec(SCHEMA);
+    this.migrateSchema();
+
+    this.statements = {
+      putEvent: this.db.prepare(`
+        INSERT INTO events (id, date, end_date, type, title, description, location, deleted_at, data)
+        VALUES (@id, @date, @endDate, @type, @title, @description, @location, @deletedAt, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          date = excluded.date, end_date = excluded.end_date, type = excluded.type,
+          title = excluded.title, description = excluded.description,
+          location = excluded.location, deleted_at = excluded.deleted_at, data = excluded.data
+      `),
+      deleteEvent: this.db.prepare('DELETE FROM events WHERE id = ?'),
+      addChange: this.db.prepare(`
+        INSERT INTO changes (revision, id, resource_name, deleted)
+        VALUES (@revision, @id, @resourceName, @deleted)
+      `),
+      pruneChanges: this.db.prepare('DELETE FROM changes WHERE revision <= ?'),
+      nextRevision: this.db.prepare('SELECT COALESCE(MAX(number), 0) + 1 AS number FROM revisions WHERE event_id = ?'),
+      addRevision: this.db.prepare(`
+        INSERT INTO revisions (event_id, number, action, at, data)
+        VALUES (@eventId, @number, @action, @at, @data)
+      `),
+      setMeta: this.db.prepare(`
+        INSERT INTO meta (key, value) VALUES (?, ?)
+        ON CONFLICT (key) DO UPDATE SET value = excluded.value
+      `)
+    };
+
+    this.recordChange = this.db.transaction(change => {
+      this.statements.addChange.run({ ...change, deleted: change.deleted ? 1 : 0 });
+      this.statements.pruneChanges.run(change.revision - MAX_SYNC_CHANGES);
+      this.statements.setMeta.run('syncRevision', String(change.revision));
+    });
+  }
+
+  // Bring databases created by older versions up to the current schema
+  migrateSchema() {
+    const columns = this.db.pragma('table_info(events)').map(column => column.name);
+    if (!columns.includes('deleted_at')) {
+      this.db.exec('ALTER TABLE events ADD COLUMN deleted_at TEXT');
+    }
+  }
+
+  async loadEvents() {
+    const events = this.db.prepare('SELECT data FROM events ORDER BY rowid').all()
+      .map(row => JSON.parse(row.data));
+    const changes = this.db.prepare('SELECT * FROM changes ORDER BY revision').all()
+      .map(row => ({
+        revision: row.revision,
+        id: row.id,
+        resourceName: row.resource_name,
+        deleted: Boolean(row.deleted)
+      }));
+    const meta = this.db.prepare("SELECT value FROM meta WHERE key = 'syncRevision'").get();
+
+    return { events, syncRevision: meta ? Number(meta.value) : 0, changes };
+  }
+
+  async saveEvent(event, change) {
+    this.db.transaction(() => {
+      this.statements.putEvent.run(eventRow(event));
+      this.recordChange(change);
+    })();
+  }
+
+  async removeEvent(event, change = null) {
+    this.db.transaction(() => {
+      this.statements.deleteEvent.run(event.id);
+      if (change) this.recordChange(change);
+    })();
+  }
+
+  async addRevision(revision) {
+    return this.db.transaction(() => {
+      const number = revision.number || this.statements.nextRevision.get(revision.eventId).number;
+      const stored = { ...revision, number };
+      this.statements.addRevision.run({
+        eventId: stored.eventId,
+        number,
+        action: stored.action,
+        at: stored.at,
+        data: JSON.stringify(stored)
+      });
+      return stored;
+    })();
+  }
+
+  async loadRevisions(eventId) {
+    return this.db.prepare('SELECT data FROM revisions WHERE event_id = ? ORDER BY number').all(eventId)
+      .map(row => JSON.parse(row.data));
+  }
+
+  async removeRevisions(eventIds) {
+    const remove = this.db.prepare('DELETE FROM revisions WHERE event_id = ?');
+    this.db.transaction(() => {
+      eventIds.forEach(eventId => remove.run(eventId));
+    })();
+  }
+
+  async pruneRevisions(keep) {
+    this.db.prepare(`
+      DELETE FROM revisions WHERE number <= (
+        SELECT MAX(number) FROM revisions AS latest WHERE latest.event_id = revisions.event_id
+      ) - ?
+    `).run(keep);
+  }
+
+  async importEvents({ events, syncRevision = 0, changes = [] }) {
+    this.db.transaction(() => {
+      this.db.exec('DELETE FROM events; DELETE FROM changes;');
+      events.forEach(event => this.statements.putEvent.run(eventRow(event)));
+      changes.slice(-MAX_SYNC_CHANGES).forEach(change => {
+        this.statements.addChange.run({ ...change, deleted: change.deleted ? 1 : 0 });
+      });
+      this.statements.setMeta.run('syncRevision', String(syncRevision));
+    })();
+  }
+
+  listTable(name) {
+    if (!LIST_NAMES.includes(name)) throw new Error(`Unknown list "${name}"`);
+    return LIST_TABLES[name];
+  }
+
+  async loadList(name) {
+    return this.db.prepare(`SELECT data FROM ${this.listTable(name)} ORDER BY position`).all()
+      .map(row => JSON.parse(row.data));
+  }
+
+  async saveList(name, items) {
+    const table = this.listTable(name);
+    const insert = this.db.prepare(`INSERT INTO ${table} (position, data) VALUES (?, ?)`);
+    this.db.transaction(() => {
+      this.db.prepare(`DELETE FROM ${table}`).run();
+      items.forEach((item, position) => insert.run(position, JSON.stringify(item)));
+    })();
+  }
+
+  // Every change is committed as it happens
+  async flush() {}
+
+  async close() {
+    this.db?.close();
+    this.db = null;
+  }
+}
+
+module.exports = { SqliteStore };
@@ -0,0 +1,281 @@
+// Crash-safe JSON storage
+//
+// Files are written to a temporary file, flushed and renamed over the target,
+// so a crash leaves either the old or the new version, never a truncated one.
+// The version being replaced is kept as <file>.bak. When a file can't be
+// parsed it is moved aside and the .bak copy restored; with no usable backup
+// loading fails with a StorageCorruptError instead of starting empty.
+//
+// Journal is an append-only log of JSON lines, flushed on every append, for
+// changes made between snapshots.
+//
+// createStore picks the storage backend (json-store.js or sqlite-store.js).
+// Both implement the same interface:
+//   open()                          prepare files or schema
+//   loadEvents()                    -> { events, syncRevision, changes }
+//   saveEvent(event, change)        persist an added, updated or trashed event and its sync change
+//   removeEvent(event, change)      delete an event for good (change may be null)
+//   importEvents(state)             replace all events and sync state (migration)
+//   addRevision(revision)           record a revision (numbered per event when
+//                                   revision.number is missing); resolves with it
+//   loadRevisions(eventId), removeRevisions(eventIds)
+//   pruneRevisions(keep)            keep only the latest keep revisions of each event
+//   loadList(name), saveList(name, items)
+//                                   webhooks, notifications, webhookDeliveries, apiKeys,
+//                                   firedReminders, pushSubscriptions, vapidKeys,
+//                                   emailCounts
+//   flush(), close()
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const STORAGE_BACKENDS = ['json', 'sqlite'];
+const LIST_NAMES = [
+  'webhooks', 'notifications', 'webhookDeliveries', 'apiKeys', 'firedReminders',
+  'pushSubscriptions', 'vapidKeys', 'emailCounts'
+];
+
+// Sync changes kept for CalDAV sync tokens; older tokens force a full resync
+const MAX_SYNC_CHANGES = 1000;
+
+class StorageCorruptError extends Error {
+  constructor(file, reason) {
+    super(`${path.basename(file)} is corrupt (${reason}) and has no usable backup. ` +
+      'Repair or move the file aside to start the server.');
+    this.name = 'StorageCorruptError';
+    this.file = file;
+  }
+}
+
+// Writes to the same file run one at a time so renames land in order
+const writeQueues = new Map();
+let tempCounter = 0;
+
+// fsync a directory so a rename inside it survives power loss (not every
+// platform allows opening directories, so failures are ignored)
+async function syncDirectory(dir) {
+  let handle;
+  try {
+    handle = await fs.open(dir, 'r');
+    await handle.sync();
+  } catch {
+    // Best effort
+  } finally {
+    await handle?.close();
+  }
+}
+
+async function replaceFile(file, contents) {
+  const temp = `${file}.${process.pid}.${++tempCounter}.tmp`;
+  const handle = await fs.open(temp, 'w');
+  try {
+    await handle.writeFile(contents);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.copyFile(file, `${file}.bak`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  await fs.rename(temp, file);
+  await syncDirectory(path.dirname(file));
+}
+
+// Serializes immediately, so the file reflects the data at call time
+function writeJsonAtomic(file, data) {
+  const contents = JSON.stringify(data, null, 2);
+  const previous = writeQueues.get(file) || Promise.resolve();
+  const write = previous.catch(() => {}).then(() => replaceFile(file, contents));
+
+  writeQueues.set(file, write);
+  write.catch(() => {}).then(() => {
+    if (writeQueues.get(file) === write) writeQueues.delete(file);
+  });
+  return write;
+}
+
+// Parsed contents, or undefined if the text isn't valid for this file
+function parseJson(text, validate) {
+  try {
+    const data = JSON.parse(text);
+    return validate(data) ? data : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+// Read a JSON file written by writeJsonAtomic. A missing file gives the
+// fallback; a corrupt one is replaced by its backup when that is readable.
+async function readJsonFile(file, { fallback, validate = () => true } = {}) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+
+  const data = parseJson(text, validate);
+  if (data !== undefined) return data;
+
+  const reason = text.trim() === '' ? 'empty file' : 'invalid JSON';
+  let backup;
+  try {
+    backup = parseJson(await fs.readFile(`${file}.bak`, 'utf8'), validate);
+  } catch {
+    backup = undefined;
+  }
+  if (backup === undefined) {
+    throw new StorageCorruptError(file, reason);
+  }
+
+  // Keep the damaged file for inspection and put the backup in its place
+  const aside = `${file}.corrupt-${Date.now()}`;
+  await fs.rename(file, aside);
+  await writeJsonAtomic(file, backup);
+  console.warn(`⚠️  ${path.basename(file)} was corrupt (${reason}); restored the backup ` +
+    `and kept the damaged file as ${path.basename(aside)}`);
+  return backup;
+}
+
+class Journal {
+  constructor(file) {
+    this.file = file;
+    this.handle = null;
+    this.seq = 0;
+    this.lines = [];
+    this.queue = Promise.resolve();
+  }
+
+  // Open for appending and return the entries after a sequence number. A
+  // torn last line (a crash mid-append) is dropped; damage anywhere else is
+  // reported as corruption.
+  async open(afterSeq = 0) {
+    let text = '';
+    try {
+      text = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const lines = text.split('\n').filter(line => line.trim() !== '');
+    const entries = [];
+    for (let i = 0; i < lines.length; i++) {
+      try {
+        entries.push(JSON.parse(lines[i]));
+      } catch {
+        if (i < lines.length - 1) {
+          throw new StorageCorruptError(this.file, `unreadable entry on line ${i + 1}`);
+        }
+        console.warn(`⚠️  Ignoring an incomplete last entry in ${path.basename(this.file)}`);
+      }
+    }
+
+    this.lines = entries.map(entry => ({ seq: entry.seq, line: `${JSON.stringify(entry)}\n` }));
+    this.seq = Math.max(afterSeq, ...entries.map(entry => entry.seq));
+
+    // Rewrite without a torn line so new entries start on a fresh line
+    if (entries.length !== lines.length) {
+      await this.rewrite();
+    }
+    this.handle = await fs.open(this.file, 'a');
+
+    return entries.filter(entry => entry.seq > afterSeq);
+  }
+
+  // Append an entry and flush it to disk; resolves with its sequence number
+  append(entry) {
+    const run = this.queue.then(async () => {
+      const seq = this.seq + 1;
+      const line = `${JSON.stringify({ seq, ...entry })}\n`;
+      await this.handle.appendFile(line);
+      await this.handle.sync();
+      this.lines.push({ seq, line });
+      this.seq = seq;
+      return seq;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // Replace the file with the entries in this.lines
+  async rewrite() {
+    const temp = `${this.file}.${process.pid}.${++tempCounter}.tmp`;
+    await fs.writeFile(temp, this.lines.map(entry => entry.line).join(''));
+    const handle = await fs.open(temp, 'r+');
+    try {
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(temp, this.file);
+    await syncDirectory(path.dirname(this.file));
+  }
+
+  // Keep only the lines that pass a test
+  filterLines(keep) {
+    const run = this.queue.then(async () => {
+      const kept = this.lines.filter(keep);
+      if (kept.length === this.lines.length) return;
+
+      this.lines = kept;
+      if (kept.length === 0) {
+        await this.handle.truncate(0);
+        await this.handle.sync();
+        return;
+      }
+      await this.handle.close();
+      await this.rewrite();
+      this.handle = await fs.open(this.file, 'a');
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // Drop entries up to seq once every snapshot that could be loaded (the
+  // data file and its .bak copy) includes them
+  compact(seq) {
+    return this.filterLines(entry => entry.seq > seq);
+  }
+
+  // Drop entries that fail a test
+  retain(keep) {
+    return this.filterLines(entry => keep(JSON.parse(entry.line)));
+  }
+
+  async close() {
+    await this.queue;
+    await this.handle?.close();
+    this.handle = null;
+  }
+}
+
+// Create the store selected by config.json "storage" ({ backend, file }).
+// Relative paths are resolved against dir.
+function createStore(settings = {}, dir) {
+  const backend = settings.backend || 'json';
+  if (backend === 'sqlite') {
+    const { SqliteStore } = require('./sqlite-store');
+    return new SqliteStore(path.resolve(dir, settings.file || 'calendar.db'));
+  }
+  if (backend === 'json') {
+    const { JsonStore } = require('./json-store');
+    return new JsonStore(dir);
+  }
+  throw new Error(`Unknown storage backend "${backend}" (expected ${STORAGE_BACKENDS.join(' or ')})`);
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  LIST_NAMES,
+  MAX_SYNC_CHANGES,
+  StorageCorruptError,
+  writeJsonAtomic,
+  readJsonFile,
+  Journal,
+  createStore
+};
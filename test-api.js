@@ -4,11 +4,12 @@
 const http = require('http');
 
 const API_BASE = 'http://localhost:3000';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
 let passed = 0;
 let failed = 0;
 
 // Test helper
-async function testEndpoint(name, path, method = 'GET', body = null) {
+async function testEndpoint(name, path, method = 'GET', body = null, extraHeaders = {}) {
   return new Promise((resolve) => {
     const url = new URL(API_BASE + path);
     const options = {
@@ -17,7 +18,8 @@ async function testEndpoint(name, path, method = 'GET', body = null) {
       path: url.pathname + url.search,
       method: method,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...extraHeaders
       }
     };
 
@@ -70,6 +72,7 @@ async function runTests() {
   await testEndpoint('Get Upcoming Events', '/api/events/upcoming?days=7');
   await testEndpoint('Search Events', '/api/events/search?q=test');
   await testEndpoint('Get Reminders', '/api/events/reminders?minutes=60');
+  await testEndpoint('Free/Busy', `/api/freebusy?start=${new Date().toISOString().split('T')[0]}&end=${new Date(Date.now() + 7 * 86400000).toISOString().split('T')[0]}`);
 
   // Test event creation
   const testEvent = {
@@ -77,9 +80,12 @@ async function runTests() {
     date: new Date().toISOString().split('T')[0],
     time: '14:00',
     type: 'meeting',
-    description: 'Test event created by API test'
+    description: 'Test event created by API test',
+    tags: ['api-test']
   };
   
+  await testEndpoint('Check Conflicts', '/api/events/conflicts', 'POST', testEvent);
+  
   const createResult = await testEndpoint('Create Event', '/api/events', 'POST', testEvent);
   
   if (createResult && createResult.event) {
@@ -88,13 +94,59 @@ async function runTests() {
     // Test single event fetch
     await testEndpoint('Get Single Event', `/api/events/${eventId}`);
     
+    // Test a ranked field search
+    await testEndpoint('Search by Field', `/api/events/search?q=${encodeURIComponent('title:"api test" evnt')}`);
+    
+    // Test a combined query and its next page
+    const queryResult = await testEndpoint('Query Events',
+      `/api/events?type=meeting&tag=api-test&search=test&hasTime=true&sort=-date,title&limit=1`);
+    if (queryResult && queryResult.nextCursor) {
+      await testEndpoint('Query Next Page',
+        `/api/events?type=meeting&tag=api-test&search=test&hasTime=true&sort=-date,title&limit=1&cursor=${queryResult.nextCursor}`);
+    }
+    
     // Test event update
-    await testEndpoint('Update Event', `/api/events/${eventId}`, 'PUT', {
+    const updateResult = await testEndpoint('Update Event', `/api/events/${eventId}`, 'PUT', {
       title: 'Updated Test Event'
     });
     
-    // Test event deletion
+    // Test a conditional update against the version just read
+    if (updateResult && updateResult.event) {
+      await testEndpoint('Conditional Update', `/api/events/${eventId}`, 'PUT', {
+        description: 'Updated with If-Match'
+      }, { 'If-Match': `"${updateResult.event.version}"` });
+    }
+    
+    // Test revision history
+    await testEndpoint('List Revisions', `/api/events/${eventId}/revisions`);
+    await testEndpoint('Restore Revision', `/api/events/${eventId}/revisions/1/restore`, 'POST');
+    
+    // Test event deletion and the trash
     await testEndpoint('Delete Event', `/api/events/${eventId}`, 'DELETE');
+    await testEndpoint('List Trash', '/api/trash');
+    await testEndpoint('Restore from Trash', `/api/trash/${eventId}/restore`, 'POST');
+    await testEndpoint('Delete Event Again', `/api/events/${eventId}`, 'DELETE');
+    if (ADMIN_TOKEN) {
+      await testEndpoint('Purge from Trash', `/api/trash/${eventId}`, 'DELETE', null, { 'X-API-Key': ADMIN_TOKEN });
+    }
+  }
+
+  // Test recurring events
+  const recurringResult = await testEndpoint('Create Recurring Event', '/api/events', 'POST', {
+    ...testEvent,
+    title: 'API Test Recurring Event',
+    recurrence: { freq: 'weekly', count: 4 }
+  });
+  
+  if (recurringResult && recurringResult.event) {
+    const eventId = recurringResult.event.id;
+    const nextWeek = new Date(Date.now() + 7 * 86400000).toISOString().split('T')[0];
+    
+    await testEndpoint('Override Occurrence', `/api/events/${eventId}/occurrences/${nextWeek}`, 'PUT', {
+      time: '15:00'
+    });
+    await testEndpoint('Cancel Occurrence', `/api/events/${eventId}/occurrences/${nextWeek}`, 'DELETE');
+    await testEndpoint('Delete Recurring Event', `/api/events/${eventId}`, 'DELETE');
   }
 
   // Test batch operations
@@ -107,17 +159,42 @@ async function runTests() {
 
   // Test iCal export
   await testEndpoint('iCal Export', '/api/calendar.ics');
+  await testEndpoint('iCal Import (dry run)', '/api/calendar.ics?dryRun=true', 'POST', {
+    ics: [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:api-test@calendar.app',
+      'DTSTART;VALUE=DATE:20240101',
+      'SUMMARY:API Test Import',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n')
+  });
 
   // Test notification endpoints
   await testEndpoint('Pending Notifications', '/api/notifications/pending');
+  await testEndpoint('Push Public Key', '/api/push/public-key');
+  if (ADMIN_TOKEN) {
+    await testEndpoint('List Push Subscriptions', '/api/push/subscriptions', 'GET', null, { 'X-API-Key': ADMIN_TOKEN });
+  }
 
   // Test config
   await testEndpoint('Get Configuration', '/api/config');
 
-  // Test API key generation
-  const keyResult = await testEndpoint('Generate API Key', '/api/keys/generate', 'POST');
-  if (keyResult && keyResult.apiKey) {
-    console.log(`   Generated API Key: ${keyResult.apiKey.substring(0, 10)}...`);
+  // Test API key management (requires ADMIN_TOKEN to match the server's)
+  if (ADMIN_TOKEN) {
+    const adminHeaders = { 'X-API-Key': ADMIN_TOKEN };
+    const keyResult = await testEndpoint('Generate API Key', '/api/keys/generate', 'POST', {
+      name: 'API test key',
+      scopes: ['events:read']
+    }, adminHeaders);
+    if (keyResult && keyResult.apiKey) {
+      console.log(`   Generated API Key: ${keyResult.apiKey.substring(0, 10)}...`);
+      await testEndpoint('List API Keys', '/api/keys', 'GET', null, adminHeaders);
+      await testEndpoint('Revoke API Key', `/api/keys/${keyResult.key.id}`, 'DELETE', null, adminHeaders);
+    }
+  } else {
+    console.log('⏭️  API key tests skipped (set ADMIN_TOKEN to run them)');
   }
 
   console.log('\n' + '=' .repeat(50));
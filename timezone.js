@@ -0,0 +1,186 @@
+// IANA time zone helpers built on Intl (no external tz database)
+//
+// Dates are YYYY-MM-DD strings and times HH:MM strings, always meaning the
+// wall clock in some zone. Timestamps are milliseconds since the epoch.
+
+const DAY_MS = 86400000;
+
+// Zone of the machine running the server, used when no home zone is configured
+const SYSTEM_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const pad = number => String(number).padStart(2, '0');
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in a time zone
+function zonedFields(timeZone, timestamp) {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(new Date(timestamp)).forEach(part => {
+    parts[part.type] = Number(part.value);
+  });
+  return parts;
+}
+
+// Offset in milliseconds of an IANA time zone from UTC at a given instant
+function zoneOffset(timeZone, timestamp) {
+  const parts = zonedFields(timeZone, timestamp);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day,
+    parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Convert a wall-clock time in a time zone to a UTC timestamp
+function zonedTimeToTimestamp(year, month, day, hour, minute, second, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = zoneOffset(timeZone, guess - zoneOffset(timeZone, guess));
+  return guess - offset;
+}
+
+// { date, time } of an instant on the wall clock of a time zone
+function toZonedDateTime(timestamp, timeZone) {
+  const parts = zonedFields(timeZone, timestamp);
+  return {
+    date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+    time: `${pad(parts.hour)}:${pad(parts.minute)}`
+  };
+}
+
+// Timestamp of a date and time (midnight when time is missing) in a time zone
+function toTimestamp(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = (time || '00:00').split(':').map(Number);
+  return zonedTimeToTimestamp(year, month, day, hour, minute, 0, timeZone);
+}
+
+// Move a wall-clock date and time from one zone to another
+function convertDateTime(date, time, fromZone, toZone) {
+  if (fromZone === toZone) return { date, time };
+  return toZonedDateTime(toTimestamp(date, time, fromZone), toZone);
+}
+
+// Calendar date arithmetic on YYYY-MM-DD strings
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS)
+    .toISOString().split('T')[0];
+}
+
+// ISO 8601 timestamp with the zone's offset, e.g. 2024-01-15T09:00:00+03:00
+function formatZonedTimestamp(timestamp, timeZone) {
+  const { date, time } = toZonedDateTime(timestamp, timeZone);
+  const offset = formatOffset(zoneOffset(timeZone, timestamp));
+  return `${date}T${time}:00${offset.slice(0, 3)}:${offset.slice(3)}`;
+}
+
+// Format an offset in milliseconds as +HHMM for iCalendar
+function formatOffset(offset) {
+  const minutes = Math.round(Math.abs(offset) / 60000);
+  return `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+}
+
+// Instants within a year at which the zone's UTC offset changes
+function transitionsInYear(timeZone, year) {
+  const transitions = [];
+  const end = Date.UTC(year + 1, 0, 1);
+  let previous = Date.UTC(year, 0, 1);
+  let previousOffset = zoneOffset(timeZone, previous);
+
+  for (let t = previous + DAY_MS; t <= end; t += DAY_MS) {
+    const offset = zoneOffset(timeZone, t);
+    if (offset !== previousOffset) {
+      // Narrow the change down to the minute
+      let low = previous;
+      let high = t;
+      while (high - low > 60000) {
+        const mid = low + Math.floor((high - low) / 120000) * 60000;
+        if (zoneOffset(timeZone, mid) === previousOffset) low = mid;
+        else high = mid;
+      }
+      transitions.push({ at: high, from: previousOffset, to: offset });
+    }
+    previous = t;
+    previousOffset = offset;
+  }
+  return transitions;
+}
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// VTIMEZONE component lines for a zone. The rules observed in the given year
+// are written as yearly RRULEs starting that year.
+function vtimezoneLines(timeZone, year) {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  const transitions = transitionsInYear(timeZone, year);
+
+  if (transitions.length === 0) {
+    const offset = formatOffset(zoneOffset(timeZone, Date.UTC(year, 0, 1)));
+    lines.push(
+      'BEGIN:STANDARD',
+      `DTSTART:${year}0101T000000`,
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      'END:STANDARD'
+    );
+  } else {
+    transitions.forEach(({ at, from, to }) => {
+      // Onsets are written in the local time in effect before the change
+      const local = new Date(at + from);
+      const day = local.getUTCDate();
+      const month = local.getUTCMonth() + 1;
+      const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), month, 0)).getUTCDate();
+      const ordinal = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+      const kind = to > from ? 'DAYLIGHT' : 'STANDARD';
+
+      lines.push(
+        `BEGIN:${kind}`,
+        `DTSTART:${local.toISOString().replace(/[-:]/g, '').split('.')[0]}`,
+        `RRULE:FREQ=YEARLY;BYMONTH=${month};BYDAY=${ordinal}${WEEKDAYS[local.getUTCDay()]}`,
+        `TZOFFSETFROM:${formatOffset(from)}`,
+        `TZOFFSETTO:${formatOffset(to)}`,
+        `END:${kind}`
+      );
+    });
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+module.exports = {
+  SYSTEM_TIME_ZONE,
+  isValidTimeZone,
+  zoneOffset,
+  zonedTimeToTimestamp,
+  toZonedDateTime,
+  toTimestamp,
+  convertDateTime,
+  addDays,
+  formatZonedTimestamp,
+  vtimezoneLines
+};
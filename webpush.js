@@ -0,0 +1,164 @@
+// Web Push (RFC 8030) with VAPID (RFC 8292) and encrypted payloads (RFC 8291)
+//
+// A browser subscribes through its push service and hands us the
+// subscription: an endpoint URL plus its public key (p256dh) and auth secret.
+// Each message is encrypted for that subscription (aes128gcm, RFC 8188) and
+// POSTed to the endpoint with a VAPID token signed by the server's key pair,
+// which the browser was given when it subscribed. Keys are base64url strings:
+// the public key is an uncompressed P-256 point, the private key its scalar.
+
+const crypto = require('crypto');
+
+const PUSH_DEFAULTS = {
+  subject: 'mailto:calendar@localhost',
+  ttlSeconds: 3600,
+  timeoutMs: 10000,
+  maxFailures: 5
+};
+
+// VAPID tokens may be valid for at most 24 hours; 12 leaves room for clock skew
+const VAPID_TOKEN_SECONDS = 12 * 3600;
+
+// Push services accept 4096-byte bodies: 86 go to the record header, one to
+// the record delimiter and 16 to the AEAD tag
+const MAX_PAYLOAD_BYTES = 3993;
+const RECORD_SIZE = 4096;
+
+function fromBase64Url(value) {
+  return Buffer.from(String(value), 'base64url');
+}
+
+function generateVapidKeys() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  return {
+    publicKey: Buffer.concat([Buffer.from([4]), fromBase64Url(jwk.x), fromBase64Url(jwk.y)]).toString('base64url'),
+    privateKey: privateKey.export({ format: 'jwk' }).d
+  };
+}
+
+// JWK coordinates of an uncompressed P-256 point
+function pointToJwk(point) {
+  return {
+    kty: 'EC',
+    crv: 'P-256',
+    x: point.subarray(1, 33).toString('base64url'),
+    y: point.subarray(33, 65).toString('base64url')
+  };
+}
+
+function isValidPoint(point) {
+  if (point.length !== 65 || point[0] !== 4) return false;
+  try {
+    crypto.createPublicKey({ key: pointToJwk(point), format: 'jwk' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Allowed push endpoints: HTTPS, or plain HTTP on this machine for testing
+function isValidEndpoint(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+  return url.protocol === 'https:' ||
+    (url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname));
+}
+
+// Check a PushSubscription (as from subscription.toJSON() in the browser).
+// Returns { field, message } errors, like event validation.
+function validateSubscription(subscription) {
+  if (!subscription || typeof subscription !== 'object') {
+    return [{ field: 'subscription', message: 'is required' }];
+  }
+  const errors = [];
+  const { endpoint, keys, expirationTime } = subscription;
+  if (typeof endpoint !== 'string' || !isValidEndpoint(endpoint)) {
+    errors.push({ field: 'subscription.endpoint', message: 'must be an https URL' });
+  }
+  if (!keys || typeof keys.p256dh !== 'string' || !isValidPoint(fromBase64Url(keys.p256dh))) {
+    errors.push({ field: 'subscription.keys.p256dh', message: 'must be a base64url P-256 public key' });
+  }
+  if (!keys || typeof keys.auth !== 'string' || fromBase64Url(keys.auth).length !== 16) {
+    errors.push({ field: 'subscription.keys.auth', message: 'must be a base64url 16-byte secret' });
+  }
+  if (expirationTime !== undefined && expirationTime !== null && !Number.isFinite(expirationTime)) {
+    errors.push({ field: 'subscription.expirationTime', message: 'must be a timestamp or null' });
+  }
+  return errors;
+}
+
+// "vapid t=<JWT>, k=<public key>" for an endpoint
+function vapidAuthorization(endpoint, { publicKey, privateKey }, subject) {
+  const header = Buffer.from(JSON.stringify({ typ: 'JWT', alg: 'ES256' })).toString('base64url');
+  const claims = Buffer.from(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + VAPID_TOKEN_SECONDS,
+    sub: subject
+  })).toString('base64url');
+
+  const key = crypto.createPrivateKey({
+    key: { ...pointToJwk(fromBase64Url(publicKey)), d: privateKey },
+    format: 'jwk'
+  });
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key,
+    dsaEncoding: 'ieee-p1363'
+  });
+  return `vapid t=${header}.${claims}.${signature.toString('base64url')}, k=${publicKey}`;
+}
+
+// Encrypt a payload for a subscription: a single aes128gcm record whose
+// header carries the salt and our one-off public key
+function encryptPayload(payload, { p256dh, auth }) {
+  const plaintext = Buffer.from(payload, 'utf8');
+  if (plaintext.length > MAX_PAYLOAD_BYTES) {
+    throw new Error(`Push payload is ${plaintext.length} bytes (at most ${MAX_PAYLOAD_BYTES})`);
+  }
+
+  const receiverKey = fromBase64Url(p256dh);
+  const ecdh = crypto.createECDH('prime256v1');
+  const senderKey = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(receiverKey);
+  const salt = crypto.randomBytes(16);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), receiverKey, senderKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, fromBase64Url(auth), keyInfo, 32));
+  const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, 'Content-Encoding: aes128gcm\0', 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, 'Content-Encoding: nonce\0', 12));
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  // 0x02 marks the last (and only) record
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.update(Buffer.from([2])), cipher.final()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header[20] = senderKey.length;
+  return Buffer.concat([header, senderKey, ciphertext, cipher.getAuthTag()]);
+}
+
+// Body and headers of the POST that delivers a payload to a subscription
+function buildPushRequest(subscription, payload, { vapidKeys, subject, ttlSeconds, urgency = 'normal' }) {
+  return {
+    body: encryptPayload(payload, subscription.keys),
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'Content-Encoding': 'aes128gcm',
+      'TTL': String(ttlSeconds),
+      'Urgency': urgency,
+      'Authorization': vapidAuthorization(subscription.endpoint, vapidKeys, subject)
+    }
+  };
+}
+
+module.exports = {
+  PUSH_DEFAULTS,
+  generateVapidKeys,
+  validateSubscription,
+  buildPushRequest
+};